@@ -0,0 +1,434 @@
+/**
+ * Headless gameplay checks, run under Node through Vite's module loader
+ *
+ * Usage: npm run test:headless
+ */
+import { createServer } from 'vite';
+
+// Time forward is held and least distance north covered (s, m)
+const WALK_TIME = 3;
+const MIN_WALK_DISTANCE = 8;
+
+// Longest walk up to the ball (s)
+const REACH_BALL_TIME = 2;
+
+// Deepest the ball may sink into the terrain (m)
+const TERRAIN_TOLERANCE = 0.05;
+
+// Volume added to the ball and speed it is thrown at a rock (m³, m/s)
+const IMPACT_BALL_GROWTH = 0.5;
+const IMPACT_SPEED = 4;
+
+// Longest flight to the rock and wait before rolling onto a chunk (s)
+const IMPACT_TIME = 2;
+const DEBRIS_SETTLE_TIME = 1;
+
+// Spot on the hills rising to the north and its least slope (rad)
+const SLOPE_SPOT = [31.4, 31.4];
+const MIN_SLOPE = 0.1;
+
+// Time forward is held on the slope and allowed error in lean and ride height (s, rad, m)
+const CLIMB_TIME = 1;
+const LEAN_TOLERANCE = 0.05;
+const RIDE_HEIGHT_TOLERANCE = 0.02;
+
+// Where the ball is pushed on the flat and how long each push lasts (s)
+const FLAT_SPOT = [0, 2];
+const PUSH_TIME = 1;
+
+// Steps run with and without the physics worker and allowed difference (m)
+const PARITY_STEPS = 180;
+const PARITY_TOLERANCE = 0.01;
+
+// Snapshot restores run back to back
+const RESTORE_REPEATS = 10;
+
+/**
+ * Create and start a headless game
+ * @param {Function} Game - Game class loaded through Vite
+ * @param {Object} [options] - Extra Game options
+ * @returns {Promise<Game>} Initialized game
+ */
+async function createGame(Game, options = {}) {
+    const game = new Game(null, null, null, { ...options, headless: true });
+    await game.init();
+    return game;
+}
+
+/**
+ * Move a body to rest its centre a given height above the terrain
+ * @param {Game} game - Game the body belongs to
+ * @param {number} bodyId - Body to move
+ * @param {number} x - World X (m)
+ * @param {number} z - World Z (m)
+ * @param {number} height - Height of the body's centre above the terrain (m)
+ * @param {number[]} [velocity=[0, 0, 0]] - Linear velocity to start it with (m/s)
+ */
+function placeOnTerrain(game, bodyId, x, z, height, velocity = [0, 0, 0]) {
+    const state = game.physicsWorld.getBodyState(bodyId);
+    state.position = [x, game.terrain.getHeightAt(x, z) + height, z];
+    state.linearVelocity = velocity;
+    state.angularVelocity = [0, 0, 0];
+    game.physicsWorld.setBodyState(bodyId, state);
+}
+
+/**
+ * Build a stand-in for the browser's Worker that runs the physics worker on this thread
+ * Messages are cloned and delivered on a later turn of the event loop, as between threads.
+ * @param {Function} PhysicsWorkerHost - Worker host class loaded through Vite
+ * @returns {Function} Worker class with a static settle() that waits for every message to arrive
+ */
+function createInlineWorker(PhysicsWorkerHost) {
+    let pending = 0;
+    const deliver = (callback) => {
+        pending++;
+        setImmediate(async () => {
+            await callback();
+            pending--;
+        });
+    };
+
+    return class InlineWorker {
+        constructor() {
+            this.onmessage = null;
+            this.onerror = null;
+            this._host = new PhysicsWorkerHost((message, transfer) => {
+                const data = structuredClone(message, { transfer });
+                deliver(() => this.onmessage && this.onmessage({ data }));
+            });
+        }
+
+        postMessage(message) {
+            const data = structuredClone(message);
+            deliver(() => this._host && this._host.handleMessage(data));
+        }
+
+        terminate() {
+            this._host = null;
+            this.onmessage = null;
+        }
+
+        static async settle() {
+            while (pending > 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+    };
+}
+
+/**
+ * Holding forward for a few seconds moves the beetle north (world -Z)
+ * @param {Object} modules - Game modules loaded through Vite
+ * @returns {Promise<string|null>} Failure message, or null if the check passed
+ */
+async function checkWalkNorth({ Game }) {
+    const game = await createGame(Game);
+    try {
+        const start = game.beetle.position.clone();
+        game.beetleControls.setKey('forward', true);
+        game.step(WALK_TIME);
+        game.beetleControls.releaseAll();
+
+        const north = start.z - game.beetle.position.z;
+        if (north < MIN_WALK_DISTANCE) {
+            return `beetle moved ${north.toFixed(2)} m north in ${WALK_TIME} s, expected at least ${MIN_WALK_DISTANCE} m`;
+        }
+        return null;
+    } finally {
+        await game.dispose();
+    }
+}
+
+/**
+ * The ball never sinks below the terrain while it is pushed, grabbed and dragged
+ * @param {Object} modules - Game modules loaded through Vite
+ * @returns {Promise<string|null>} Failure message, or null if the check passed
+ */
+async function checkBallAboveTerrain({ Game }) {
+    const game = await createGame(Game);
+    try {
+        const controls = game.beetleControls;
+        let deepest = -Infinity;
+        const run = (seconds, until = () => false) => {
+            const steps = Math.round(seconds / game.loop.fixedDeltaTime);
+            for (let i = 0; i < steps && !until(); i++) {
+                game.step();
+                const center = game.dungBall.getPosition();
+                const bottom = center.y - game.dungBall.getSize();
+                deepest = Math.max(deepest, game.terrain.getHeightAt(center.x, center.z) - bottom);
+            }
+        };
+
+        // Walk into the ball, then grab it, drag it back and let go
+        controls.setKey('forward', true);
+        run(REACH_BALL_TIME, () => game.beetle.ballContact.touching);
+        controls.releaseAll();
+        if (!controls.toggleGrab()) {
+            return `beetle could not grab the ball within ${REACH_BALL_TIME} s`;
+        }
+        controls.setKey('backward', true);
+        run(2);
+        controls.releaseAll();
+        controls.toggleGrab();
+        run(1);
+
+        if (deepest > TERRAIN_TOLERANCE) {
+            return `ball bottom sank ${deepest.toFixed(3)} m below the terrain`;
+        }
+        return null;
+    } finally {
+        await game.dispose();
+    }
+}
+
+/**
+ * A hard hit on a rock knocks dung off the ball, and the ball can pick the chunks up again
+ * @param {Object} modules - Game modules loaded through Vite
+ * @returns {Promise<string|null>} Failure message, or null if the check passed
+ */
+async function checkImpactDebris({ Game }) {
+    const game = await createGame(Game);
+    try {
+        const physicsWorld = game.physicsWorld;
+        const ball = game.dungBall;
+        const rock = game.obstacles.find(obstacle => obstacle.type === 'rock');
+        const run = (seconds, until = () => false) => {
+            const steps = Math.round(seconds / game.loop.fixedDeltaTime);
+            for (let i = 0; i < steps && !until(); i++) game.step();
+        };
+        const placeBall = (x, z, velocity) => placeOnTerrain(game, ball.bodyId, x, z, ball.getSize() + 0.02, velocity);
+
+        // Throw the ball south to north into the rock
+        ball.addVolume(IMPACT_BALL_GROWTH);
+        const before = ball.getVolume();
+        placeBall(rock.position.x, rock.position.z + 3, [0, 0, -IMPACT_SPEED]);
+        run(IMPACT_TIME, () => game.dungDebris.length > 0);
+        run(DEBRIS_SETTLE_TIME);
+
+        const damaged = ball.getVolume();
+        if (damaged >= before) {
+            return `ball volume went from ${before.toFixed(3)} to ${damaged.toFixed(3)} m³ after hitting a rock at ${IMPACT_SPEED} m/s`;
+        }
+        const chunk = game.dungDebris[0];
+        if (!chunk) {
+            return 'hitting a rock knocked no debris off the ball';
+        }
+
+        // Roll the ball over the first chunk; meshes only follow their bodies when rendered
+        const [x, , z] = physicsWorld.getBodyState(chunk.bodyId).position;
+        placeBall(x, z, [0, 0, 0]);
+        run(0.5);
+
+        if (!chunk.absorbed || ball.getVolume() <= damaged) {
+            return `ball did not pick a chunk back up (volume ${damaged.toFixed(3)} -> ${ball.getVolume().toFixed(3)} m³)`;
+        }
+        return null;
+    } finally {
+        await game.dispose();
+    }
+}
+
+/**
+ * Walking up a slope, the beetle leans with it and keeps its ride height above the terrain
+ * @param {Object} modules - Game modules loaded through Vite
+ * @returns {Promise<string|null>} Failure message, or null if the check passed
+ */
+async function checkSlopeLean({ Game }) {
+    const game = await createGame(Game);
+    try {
+        const beetle = game.beetle;
+        const [x, z] = SLOPE_SPOT;
+        placeOnTerrain(game, beetle.bodyId, x, z, beetle.stats.height);
+        game.beetleControls.setKey('forward', true);
+        game.step(CLIMB_TIME);
+
+        const slope = beetle.slopeAngle;
+        if (slope < MIN_SLOPE) {
+            return `ground under the beetle is only ${slope.toFixed(3)} rad steep`;
+        }
+        const lean = Math.acos(beetle.surfaceUp.y);
+        if (Math.abs(lean - slope) > LEAN_TOLERANCE) {
+            return `beetle leans ${lean.toFixed(3)} rad on a ${slope.toFixed(3)} rad slope`;
+        }
+        const position = beetle.position;
+        const rideHeight = (position.y - game.terrain.getHeightAt(position.x, position.z)) * beetle.groundNormal.y;
+        if (Math.abs(rideHeight - beetle.stats.height) > RIDE_HEIGHT_TOLERANCE) {
+            return `beetle rides ${rideHeight.toFixed(3)} m above the slope, expected ${beetle.stats.height} m`;
+        }
+        return null;
+    } finally {
+        await game.dispose();
+    }
+}
+
+/**
+ * Pushing the ball uphill tires the beetle more than pushing it on the flat
+ * @param {Object} modules - Game modules loaded through Vite
+ * @returns {Promise<string|null>} Failure message, or null if the check passed
+ */
+async function checkUphillStamina({ Game }) {
+    // Stamina spent pushing the ball north from a spot, leaving out what is recovered meanwhile
+    const pushFrom = async ([x, z]) => {
+        const game = await createGame(Game);
+        try {
+            const beetle = game.beetle;
+            const ball = game.dungBall;
+            placeOnTerrain(game, beetle.bodyId, x, z, beetle.stats.height);
+            placeOnTerrain(game, ball.bodyId, x, z - (beetle.capsuleLength / 2 + ball.getSize() + 0.05), ball.getSize());
+            game.beetleControls.setKey('forward', true);
+
+            const dt = game.loop.fixedDeltaTime;
+            let spent = 0;
+            for (let t = 0; t < PUSH_TIME; t += dt) {
+                const before = beetle.stamina.current;
+                game.step(dt);
+                spent += Math.max(0, before - beetle.stamina.current);
+            }
+            return spent;
+        } finally {
+            await game.dispose();
+        }
+    };
+
+    const flat = await pushFrom(FLAT_SPOT);
+    const uphill = await pushFrom(SLOPE_SPOT);
+    if (flat <= 0) {
+        return 'pushing the ball on the flat spent no stamina';
+    }
+    if (uphill <= flat) {
+        return `pushing uphill spent ${uphill.toFixed(2)} stamina, no more than ${flat.toFixed(2)} on the flat`;
+    }
+    return null;
+}
+
+/**
+ * Pushing the ball gives the same result with the physics worker as without it
+ * @param {Object} modules - Game modules loaded through Vite
+ * @returns {Promise<string|null>} Failure message, or null if the check passed
+ */
+async function checkWorkerParity({ Game, PhysicsWorkerHost }) {
+    const InlineWorker = createInlineWorker(PhysicsWorkerHost);
+    const run = async (physicsWorker) => {
+        const game = await createGame(Game, { physicsWorker });
+        try {
+            game.beetleControls.setKey('forward', true);
+            for (let i = 0; i < PARITY_STEPS; i++) {
+                game.step();
+                // Let the worker's results arrive before the next step reads them
+                await InlineWorker.settle();
+            }
+            return { beetle: game.beetle.position.clone(), ball: game.dungBall.getPosition() };
+        } finally {
+            await game.dispose();
+        }
+    };
+
+    const browserWorker = globalThis.Worker;
+    globalThis.Worker = InlineWorker;
+    try {
+        const local = await run(false);
+        const worker = await run(true);
+        for (const name of ['beetle', 'ball']) {
+            const distance = local[name].distanceTo(worker[name]);
+            if (distance > PARITY_TOLERANCE) {
+                return `${name} ended ${distance.toFixed(4)} m from where it did without the worker`;
+            }
+        }
+        return null;
+    } finally {
+        globalThis.Worker = browserWorker;
+    }
+}
+
+/**
+ * Restoring, disposing and initializing again leave no Ammo.js objects behind
+ * @param {Object} modules - Game modules loaded through Vite
+ * @returns {Promise<string|null>} Failure message, or null if the check passed
+ */
+async function checkAmmoLeaks({ Game }) {
+    const game = await createGame(Game);
+    const describe = (live) => Object.entries(live).map(([name, count]) => `${count} ${name}`).join(', ');
+    try {
+        if (!game.physicsWorld.getLiveObjects()) {
+            return 'Ammo.js allocation tracking is off';
+        }
+
+        game.step(1);
+        const snapshot = game.snapshot();
+        const before = describe(game.physicsWorld.getLiveObjects());
+        for (let i = 0; i < RESTORE_REPEATS; i++) {
+            game.physicsWorld.restore(snapshot.physics);
+        }
+        for (let i = 0; i < RESTORE_REPEATS; i++) {
+            game.restore(snapshot);
+        }
+        const after = describe(game.physicsWorld.getLiveObjects());
+        if (after !== before) {
+            return `restoring ${RESTORE_REPEATS} times changed the live objects from ${before} to ${after}`;
+        }
+
+        await game.dispose();
+        let leaked = describe(game.physicsWorld.getLiveObjects());
+        if (leaked) {
+            return `${leaked} left alive after dispose`;
+        }
+
+        await game.init();
+        game.step(1);
+        await game.dispose();
+        leaked = describe(game.physicsWorld.getLiveObjects());
+        if (leaked) {
+            return `${leaked} left alive after initializing again and disposing`;
+        }
+        return null;
+    } finally {
+        if (game.isInitialized) {
+            await game.dispose();
+        }
+    }
+}
+
+const CHECKS = {
+    'holding forward moves the beetle north': checkWalkNorth,
+    'the ball never falls below the terrain': checkBallAboveTerrain,
+    'hitting a rock knocks off debris the ball can pick up again': checkImpactDebris,
+    'walking uphill the beetle leans with the slope at its ride height': checkSlopeLean,
+    'pushing the ball uphill costs more stamina than on the flat': checkUphillStamina,
+    'the physics worker gives the same result as the main thread': checkWorkerParity,
+    'restoring, disposing and initializing again leak no Ammo.js objects': checkAmmoLeaks
+};
+
+const server = await createServer({
+    appType: 'custom',
+    logLevel: 'error',
+    server: { middlewareMode: true, hmr: false }
+});
+
+let failures = 0;
+try {
+    const modules = {
+        Game: (await server.ssrLoadModule('/src/core/Game.js')).Game,
+        PhysicsWorkerHost: (await server.ssrLoadModule('/src/physics/PhysicsWorkerHost.js')).PhysicsWorkerHost
+    };
+
+    for (const [name, check] of Object.entries(CHECKS)) {
+        let failure;
+        try {
+            failure = await check(modules);
+        } catch (error) {
+            failure = error.stack || String(error);
+        }
+        if (failure) {
+            failures++;
+            console.log(`FAIL ${name}: ${failure}`);
+        } else {
+            console.log(`PASS ${name}`);
+        }
+    }
+} finally {
+    await server.close();
+}
+
+const total = Object.keys(CHECKS).length;
+console.log(`${total - failures} of ${total} checks passed`);
+process.exit(failures > 0 ? 1 : 0);
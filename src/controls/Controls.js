@@ -1,18 +1,47 @@
 import * as THREE from 'three';
 
+// Movement keys that can be held, by name
+const MOVEMENT_KEYS = ['forward', 'backward', 'left', 'right', 'sprint'];
+
+// Control modes: 'walk' moves along the world axes, 'orbit' circles the ball
+const CONTROL_MODES = ['walk', 'orbit'];
+
+// Gap kept between the beetle's head and the ball while circling it (m)
+const ORBIT_GAP = 0.05;
+
+// How hard circling steers back onto the orbit, per metre off it (1/m)
+const ORBIT_CORRECTION = 4;
+
 /**
  * Controls - Handles keyboard input for controlling the beetle
+ * WASD/arrows move, Shift sprints, Space grabs, C toggles orbiting the ball, F3 toggles debug drawing.
  */
 export class Controls {
-    constructor(beetle) {
+    /**
+     * @param {Beetle} beetle - Beetle to drive
+     * @param {Object} [options] - Extra key bindings
+     * @param {Function} [options.onToggleDebug] - Called when the debug key is pressed
+     * @param {Function} [options.onModeChange] - Called with the new mode when the control mode changes
+     * @param {EventTarget|null} [options.target=window] - Where to listen for keys; null for scripted input only
+     */
+    constructor(beetle, options = {}) {
         this.beetle = beetle;
+        this.onToggleDebug = options.onToggleDebug || null;
+        this.onModeChange = options.onModeChange || null;
+        this.mode = 'walk';
+        this.target = options.target !== undefined
+            ? options.target
+            : (typeof window !== 'undefined' ? window : null);
+        this._onKeyDown = this.onKeyDown.bind(this);
+        this._onKeyUp = this.onKeyUp.bind(this);
         
         // Keyboard state
         this.keys = {
             forward: false,
             backward: false,
             left: false,
-            right: false
+            right: false,
+            sprint: false
         };
         
         // Initialize controls
@@ -20,9 +49,68 @@ export class Controls {
     }
 
     init() {
+        if (!this.target) return;
+        
         // Add keyboard event listeners
-        window.addEventListener('keydown', this.onKeyDown.bind(this));
-        window.addEventListener('keyup', this.onKeyUp.bind(this));
+        this.target.addEventListener('keydown', this._onKeyDown);
+        this.target.addEventListener('keyup', this._onKeyUp);
+    }
+
+    /**
+     * Hold or release a movement key
+     * @param {string} key - 'forward', 'backward', 'left', 'right' or 'sprint'
+     * @param {boolean} pressed - Whether the key is held
+     */
+    setKey(key, pressed) {
+        if (!MOVEMENT_KEYS.includes(key)) {
+            console.warn('Unknown movement key:', key);
+            return;
+        }
+        this.keys[key] = pressed;
+    }
+
+    /**
+     * Release every movement key
+     */
+    releaseAll() {
+        MOVEMENT_KEYS.forEach(key => {
+            this.keys[key] = false;
+        });
+    }
+
+    /**
+     * Switch between walking freely and orbiting the ball
+     * @param {string} mode - 'walk' or 'orbit'
+     */
+    setMode(mode) {
+        if (!CONTROL_MODES.includes(mode)) {
+            console.warn('Unknown control mode:', mode);
+            return;
+        }
+        if (mode === this.mode) return;
+
+        this.mode = mode;
+        if (this.onModeChange) {
+            this.onModeChange(mode);
+        }
+    }
+
+    /**
+     * Switch to the next control mode, as the mode key does
+     * @returns {string} The mode switched to
+     */
+    toggleMode() {
+        const next = CONTROL_MODES[(CONTROL_MODES.indexOf(this.mode) + 1) % CONTROL_MODES.length];
+        this.setMode(next);
+        return this.mode;
+    }
+
+    /**
+     * Grab or release the ball, as the grab key does
+     * @returns {boolean} True if the ball is held afterwards
+     */
+    toggleGrab() {
+        return this.beetle.toggleGrab();
     }
 
     onKeyDown(event) {
@@ -44,6 +132,26 @@ export class Controls {
             case 'ArrowRight':
                 this.keys.right = true;
                 break;
+            case 'ShiftLeft':
+            case 'ShiftRight':
+                this.keys.sprint = true;
+                break;
+            case 'Space':
+                if (!event.repeat) {
+                    this.toggleGrab();
+                }
+                break;
+            case 'KeyC':
+                if (!event.repeat) {
+                    this.toggleMode();
+                }
+                break;
+            case 'F3':
+                event.preventDefault();
+                if (!event.repeat && this.onToggleDebug) {
+                    this.onToggleDebug();
+                }
+                break;
         }
     }
 
@@ -66,11 +174,35 @@ export class Controls {
             case 'ArrowRight':
                 this.keys.right = false;
                 break;
+            case 'ShiftLeft':
+            case 'ShiftRight':
+                this.keys.sprint = false;
+                break;
         }
     }
 
     update() {
-        // Calculate movement direction
+        // Calculate movement direction; orbiting needs a ball in play to circle
+        const orbit = this.mode === 'orbit' ? this._getOrbitMovement() : null;
+        const direction = orbit ? orbit.direction : this._getWalkDirection();
+        
+        // Calculate speed based on any movement input
+        let speed = 0;
+        if (this.keys.forward || this.keys.backward || this.keys.left || this.keys.right) {
+            speed = this.beetle.stats.speed;
+        }
+        
+        // Update beetle movement
+        this.beetle.setSprinting(this.keys.sprint);
+        this.beetle.setMovement(direction, speed, orbit ? orbit.facing : null);
+    }
+
+    /**
+     * Movement direction in walk mode, along the world axes
+     * @returns {THREE.Vector3} Unnormalized direction
+     * @private
+     */
+    _getWalkDirection() {
         const direction = new THREE.Vector3(0, 0, 0);
         
         if (this.keys.forward) {
@@ -86,19 +218,53 @@ export class Controls {
             direction.x += 1;
         }
         
-        // Calculate speed based on any movement input
-        let speed = 0;
-        if (this.keys.forward || this.keys.backward || this.keys.left || this.keys.right) {
-            speed = this.beetle.stats.speed;
+        return direction;
+    }
+
+    /**
+     * Movement in orbit mode, circling just clear of the ball
+     * @returns {Object|null} { direction, facing }, or null if there is no ball to circle
+     * @private
+     */
+    _getOrbitMovement() {
+        const ball = this.beetle.ball;
+        if (!ball || !ball.body) return null;
+
+        const toBall = ball.getPosition().sub(this.beetle.position);
+        toBall.y = 0;
+        const distance = toBall.length();
+        if (distance < 1e-3) return null; // Right under the ball, as when it is out of play
+        toBall.divideScalar(distance);
+
+        // The beetle's right while it faces the ball
+        const right = new THREE.Vector3(-toBall.z, 0, toBall.x);
+        const direction = new THREE.Vector3(0, 0, 0);
+
+        if (this.keys.forward) {
+            direction.add(toBall);
         }
-        
-        // Update beetle movement
-        this.beetle.setMovement(direction, speed);
+        if (this.keys.backward) {
+            direction.sub(toBall);
+        }
+
+        const circling = (this.keys.right ? 1 : 0) - (this.keys.left ? 1 : 0);
+        if (circling !== 0) {
+            direction.addScaledVector(right, circling);
+            if (!this.keys.forward && !this.keys.backward) {
+                const orbitRadius = ball.getSize() + this.beetle.capsuleLength / 2 + ORBIT_GAP;
+                const correction = THREE.MathUtils.clamp((distance - orbitRadius) * ORBIT_CORRECTION, -1, 1);
+                direction.addScaledVector(toBall, correction);
+            }
+        }
+
+        return { direction, facing: toBall };
     }
 
     dispose() {
+        if (!this.target) return;
+        
         // Remove event listeners
-        window.removeEventListener('keydown', this.onKeyDown.bind(this));
-        window.removeEventListener('keyup', this.onKeyUp.bind(this));
+        this.target.removeEventListener('keydown', this._onKeyDown);
+        this.target.removeEventListener('keyup', this._onKeyUp);
     }
 } 
\ No newline at end of file
@@ -0,0 +1,278 @@
+import * as THREE from 'three';
+
+// Beyond this distance from the beetle the ball counts as lost (m)
+const LOST_DISTANCE = 12;
+
+// Seconds the ball may stay out of the camera's view before it counts as lost
+const OUT_OF_SIGHT_TIME = 2;
+
+// Half the width of the playable area, centred on the origin like the ground (m)
+const WORLD_HALF_SIZE = 50;
+
+// The ball has fallen out of the world below this height (m)
+const FALL_OUT_HEIGHT = -10;
+
+// Seconds the ball takes to sink once its centre is over water
+const SINK_TIME = 2;
+
+// Water drag on the ball, as deceleration per m/s of its speed (1/s)
+const WATER_DRAG = 3;
+
+// What getting the ball back costs: a wait, and some of the ball
+const RECOVERY_TIME = 3; // s
+const RECOVERY_VOLUME_COST = 0.25; // Fraction of the ball's volume
+
+// Gap left between the beetle's head and a returned ball (m)
+const RESPAWN_GAP = 0.2;
+
+// How far above the beetle the ball is held while it is out of play (m)
+const PARK_HEIGHT = 100;
+
+/**
+ * BallRecovery - Keeps track of where the ball is relative to the beetle
+ * A ball off the world edge or sunk in water is returned in front of the beetle, smaller.
+ */
+export class BallRecovery {
+    /**
+     * @param {PhysicsWorld} physicsWorld - Physics world the ball is simulated in
+     * @param {Beetle} beetle - Beetle the ball belongs to
+     * @param {DungBall} ball - Ball to keep track of
+     * @param {Object} [options] - Recovery options
+     * @param {Water[]} [options.waters=[]] - Water the ball can sink in
+     */
+    constructor(physicsWorld, beetle, ball, options = {}) {
+        this.physicsWorld = physicsWorld;
+        this.beetle = beetle;
+        this.ball = ball;
+        this.waters = options.waters || [];
+
+        // Tracking state
+        this.lost = false;
+        this.lostReason = null;
+        this.sinkTime = 0;
+        this.recovery = null; // { reason, timeLeft } while the ball is out of play
+        this._outOfSightTime = 0;
+
+        // Callbacks
+        this.onLost = null; // Called with the reason: 'distance', 'outOfSight', 'outOfBounds' or 'sunk'
+        this.onFound = null; // Called when a lost ball is back within reach and view
+        this.onRecovered = null; // Called with { reason, volumeLost } when the ball is returned
+
+        this._position = new THREE.Vector3();
+        this._frustum = new THREE.Frustum();
+        this._viewProjection = new THREE.Matrix4();
+    }
+
+    /**
+     * Check on the ball after a physics step
+     * @param {number} deltaTime - Fixed step length in seconds
+     * @param {THREE.Camera|null} [camera] - Camera the player sees through; null skips the view check
+     */
+    update(deltaTime, camera = null) {
+        if (this.recovery) {
+            this.recovery.timeLeft -= deltaTime;
+            if (this.recovery.timeLeft <= 0) {
+                this._returnBall();
+            } else {
+                this._park();
+            }
+            return;
+        }
+
+        const position = this.ball.getPosition(this._position);
+        if (this._isOutOfBounds(position)) {
+            this._takeOutOfPlay('outOfBounds');
+            return;
+        }
+
+        if (this.waters.some(water => water.contains(position))) {
+            this.sinkTime += deltaTime;
+            if (this.sinkTime >= SINK_TIME) {
+                this._takeOutOfPlay('sunk');
+                return;
+            }
+
+            // Soaking up water slows the ball down before it goes under
+            const drag = this.ball.getVelocity().multiplyScalar(-WATER_DRAG * this.ball.getMass());
+            this.ball.applyForce(drag);
+        } else {
+            this.sinkTime = 0;
+        }
+
+        if (camera && !this._isInView(position, camera)) {
+            this._outOfSightTime += deltaTime;
+        } else {
+            this._outOfSightTime = 0;
+        }
+
+        let reason = null;
+        if (position.distanceTo(this.beetle.position) > LOST_DISTANCE) {
+            reason = 'distance';
+        } else if (this._outOfSightTime >= OUT_OF_SIGHT_TIME) {
+            reason = 'outOfSight';
+        }
+        this._setLost(reason);
+    }
+
+    /**
+     * Check whether the ball is out of play and waiting to be returned
+     * @returns {boolean} True during the recovery wait
+     */
+    isRecovering() {
+        return this.recovery !== null;
+    }
+
+    /**
+     * Capture the tracking state
+     * @returns {Object} { lost, lostReason, sinkTime, outOfSightTime, recovery }
+     */
+    getState() {
+        return {
+            lost: this.lost,
+            lostReason: this.lostReason,
+            sinkTime: this.sinkTime,
+            outOfSightTime: this._outOfSightTime,
+            recovery: this.recovery ? { ...this.recovery } : null
+        };
+    }
+
+    /**
+     * Restore a state captured by getState()
+     * @param {Object} state - State to restore
+     */
+    setState(state) {
+        this.lost = state.lost;
+        this.lostReason = state.lostReason;
+        this.sinkTime = state.sinkTime;
+        this._outOfSightTime = state.outOfSightTime;
+        this.recovery = state.recovery ? { ...state.recovery } : null;
+        this.ball.mesh.visible = !this.recovery;
+    }
+
+    /**
+     * Mark the ball as lost or found, notifying when that or the reason changes
+     * @param {string|null} reason - Why the ball is lost, or null if it is not
+     * @private
+     */
+    _setLost(reason) {
+        const wasLost = this.lost;
+        const changed = reason !== this.lostReason;
+        this.lost = reason !== null;
+        this.lostReason = reason;
+
+        if (this.lost && changed && this.onLost) {
+            this.onLost(reason);
+        } else if (!this.lost && wasLost && this.onFound) {
+            this.onFound();
+        }
+    }
+
+    /**
+     * Check whether the ball has left the playable area
+     * @param {THREE.Vector3} position - Ball centre
+     * @returns {boolean} True if the ball cannot be reached any more
+     * @private
+     */
+    _isOutOfBounds(position) {
+        return Math.abs(position.x) > WORLD_HALF_SIZE ||
+            Math.abs(position.z) > WORLD_HALF_SIZE ||
+            position.y < FALL_OUT_HEIGHT;
+    }
+
+    /**
+     * Check whether any of the ball is inside the camera's view
+     * @param {THREE.Vector3} position - Ball centre
+     * @param {THREE.Camera} camera - Camera the player sees through
+     * @returns {boolean} True if the ball can be seen
+     * @private
+     */
+    _isInView(position, camera) {
+        this._viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        this._frustum.setFromProjectionMatrix(this._viewProjection);
+        return this._frustum.intersectsSphere(new THREE.Sphere(position, this.ball.getSize()));
+    }
+
+    /**
+     * Take the ball out of play until the recovery wait is over
+     * @param {string} reason - 'outOfBounds' or 'sunk'
+     * @private
+     */
+    _takeOutOfPlay(reason) {
+        if (this.beetle.attachedBall === this.ball) {
+            this.beetle.detachFromBall();
+        }
+
+        this.recovery = { reason, timeLeft: RECOVERY_TIME };
+        this.sinkTime = 0;
+        this._outOfSightTime = 0;
+        this.ball.mesh.visible = false;
+        this._park();
+        this._setLost(reason);
+    }
+
+    /**
+     * Hold the ball still high above the beetle, clear of everything in the world
+     * @private
+     */
+    _park() {
+        const state = this.physicsWorld.getBodyState(this.ball.bodyId);
+        if (!state) return;
+
+        state.position = [this.beetle.position.x, this.beetle.position.y + PARK_HEIGHT, this.beetle.position.z];
+        state.linearVelocity = [0, 0, 0];
+        state.angularVelocity = [0, 0, 0];
+        this.physicsWorld.setBodyState(this.ball.bodyId, state);
+    }
+
+    /**
+     * Put the ball back in play in front of the beetle, minus the recovery cost
+     * @private
+     */
+    _returnBall() {
+        const reason = this.recovery.reason;
+        this.recovery = null;
+
+        // Shrink first, so the ball is placed for its new size
+        const volumeLost = this.ball.damage(this.ball.getVolume() * RECOVERY_VOLUME_COST);
+        const radius = this.ball.getSize();
+
+        // The beetle heads along its local +Z
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.beetle.quaternion);
+        forward.y = 0;
+        if (forward.lengthSq() < 1e-6) forward.set(0, 0, 1);
+        forward.normalize();
+
+        const position = this.beetle.position.clone()
+            .addScaledVector(forward, this.beetle.capsuleLength / 2 + RESPAWN_GAP + radius);
+        position.y = this._findGroundHeight(position) + radius;
+
+        const state = this.physicsWorld.getBodyState(this.ball.bodyId);
+        if (state) {
+            state.position = position.toArray();
+            state.linearVelocity = [0, 0, 0];
+            state.angularVelocity = [0, 0, 0];
+            this.physicsWorld.setBodyState(this.ball.bodyId, state);
+        }
+        this.ball.mesh.visible = true;
+
+        // Reported as recovered rather than found
+        this.lost = false;
+        this.lostReason = null;
+        if (this.onRecovered) {
+            this.onRecovered({ reason, volumeLost });
+        }
+    }
+
+    /**
+     * Find the height of the ground or obstacle top below a point
+     * @param {THREE.Vector3} position - Point to look below
+     * @returns {number} Height of the surface, or the beetle's ground level if there is none
+     * @private
+     */
+    _findGroundHeight(position) {
+        const from = new THREE.Vector3(position.x, this.beetle.position.y + LOST_DISTANCE, position.z);
+        const to = new THREE.Vector3(position.x, FALL_OUT_HEIGHT, position.z);
+        const hit = this.physicsWorld.raycast(from, to, { mask: ['terrain', 'obstacle'] });
+        return hit ? hit.point.y : this.beetle.position.y - this.beetle.stats.height;
+    }
+}
@@ -1,25 +1,106 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
-import { Ground } from '../entities/Ground';
 import { Beetle } from '../entities/Beetle';
+import { DungBall } from '../entities/DungBall';
+import { DungPile } from '../entities/DungPile';
+import { DungDebris } from '../entities/DungDebris';
+import { Water } from '../entities/Water';
+import { UpgradeStation } from '../entities/UpgradeStation';
+import { Obstacle } from '../entities/Obstacle';
+import { BEETLE_UPGRADES } from '../entities/BeetleUpgrades';
 import { Controls } from '../controls/Controls';
 import { TerrainManager } from '../terrain/TerrainManager';
 import { PhysicsWorld } from '../physics/PhysicsWorld';
+import { PhysicsDebugDrawer } from '../physics/PhysicsDebugDrawer';
+import { GameLoop } from './GameLoop';
+import { BallRecovery } from './BallRecovery';
+import { BallIndicator } from '../ui/BallIndicator';
+import {
+    DUNG_PILE_COUNT,
+    DUNG_PILE_MIN_DISTANCE,
+    DUNG_PILE_MAX_DISTANCE,
+    DUNG_PILE_VOLUME_RANGE,
+    DUNG_PILE_QUALITY_RANGE,
+    DUNG_PILE_OBSTACLE_CLEARANCE,
+    DUNG_PILE_TYPES,
+    DEBRIS_CHUNK_VOLUME,
+    MAX_DEBRIS_PER_IMPACT,
+    MAX_DEBRIS,
+    DEBRIS_SPEED,
+    TERRAIN_HEIGHT_SCALE,
+    START_AREA_RADIUS,
+    PONDS,
+    UPGRADE_STATIONS,
+    OBSTACLES
+} from './LevelConfig';
+
+// Smallest changes in ball radius (m) and mass (kg) worth reporting to the UI
+const BALL_SIZE_REPORT_STEP = 0.05;
+const BALL_MASS_REPORT_STEP = 0.1;
+
+// Smallest change in the beetle's stamina worth redrawing the stamina bar for
+const STAMINA_REPORT_STEP = 0.5;
+
+// Format of Game.snapshot(); bump when its layout changes
+const SNAPSHOT_VERSION = 8;
+
+// Angle between neighbouring piles on the spiral they are laid out along
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+// Time left over by step() smaller than this is rounding error, not a partial step (s)
+const STEP_TIME_EPSILON = 1e-9;
 
 /**
  * Game - Main game class that manages the game loop and core systems
+ * In headless mode the game only advances through step(), with input scripted through beetleControls.
  */
 export class Game {
-    constructor(renderer, camera, controls) {
+    /**
+     * @param {THREE.WebGLRenderer|null} renderer - Renderer to draw with, null when headless
+     * @param {THREE.Camera|null} camera - Camera to draw from, null when headless
+     * @param {OrbitControls|null} controls - Camera controls, null when headless
+     * @param {Object} [options] - Game options
+     * @param {boolean} [options.physicsWorker=false] - Step physics in a Web Worker
+     * @param {boolean} [options.headless=false] - Run without rendering or keyboard input
+     */
+    constructor(renderer, camera, controls, options = {}) {
         this.scene = new THREE.Scene();
         this.renderer = renderer;
         this.camera = camera;
         this.controls = controls;
-        this.physicsWorld = new PhysicsWorld();
-        this.ground = null;
+        this.headless = !!options.headless;
+        this.physicsWorld = new PhysicsWorld({ useWorker: !!options.physicsWorker });
+        this.physicsDebugDrawer = null;
+        this.terrain = null;
         this.beetle = null;
+        this.dungBall = null;
+        this.dungPiles = [];
+        this.dungDebris = [];
+        this.waters = [];
+        this.upgradeStations = [];
+        this.obstacles = [];
+        this.activeUpgradeStation = null; // Station the beetle and ball are both at
+        this.ballRecovery = null;
+        this.ballIndicator = null;
         this.beetleControls = null;
-        this.lastTime = 0;
+        this.onBallSizeChange = null;
+        this.onBallLost = null; // Called with the reason when the ball is lost, see BallRecovery
+        this.onBallFound = null; // Called when a lost ball is back within reach and view
+        this.onBallRecovered = null; // Called with { reason, volumeLost } when a ball out of play is returned
+        this.onUpgradeStationChange = null; // Called with the station the beetle can shop at, or null on leaving
+        this.onBeetleUpgrade = null; // Called with (id, level, stats) when an upgrade is bought
+        this.lastBallSize = null;
+        this.lastBallMass = null;
+        this.onStaminaChange = null; // Called with (stamina, capacity, exhausted) as the beetle tires and recovers
+        this.onControlModeChange = null; // Called with 'walk' or 'orbit' when the player switches control mode
+        this.lastStamina = null;
+        this.loop = new GameLoop({
+            stepRate: 60,
+            maxSubSteps: 5,
+            update: (deltaTime) => this.fixedUpdate(deltaTime),
+            render: (alpha, frameTime) => this.render(alpha, frameTime)
+        });
+        this._pendingStepTime = 0; // Time passed to step() not yet simulated
         this.isInitialized = false;
         this.initPromise = null;
         this.isInitializing = false;
@@ -87,13 +168,16 @@ export class Game {
             directionalLight.shadow.camera.bottom = -10;
             this.scene.add(directionalLight);
             
-            // Create ground
+            // Create terrain, levelled where the level puts something down
             try {
-                this.ground = new Ground(this.scene, this.physicsWorld);
-                await this.ground.init();
+                this.terrain = new TerrainManager(this.scene, this.physicsWorld, {
+                    heightScale: TERRAIN_HEIGHT_SCALE,
+                    flatAreas: this.getFlatAreas(),
+                    lights: false
+                });
             } catch (error) {
-                console.error('Failed to create ground:', error);
-                throw new Error('Ground creation failed: ' + error.message);
+                console.error('Failed to create terrain:', error);
+                throw new Error('Terrain creation failed: ' + error.message);
             }
 
             // Create beetle
@@ -105,15 +189,71 @@ export class Game {
                 throw new Error('Beetle creation failed: ' + error.message);
             }
 
-            // Create beetle controls
-            this.beetleControls = new Controls(this.beetle);
+            // Create dung ball a little ahead of the beetle
+            try {
+                this.dungBall = new DungBall(this.scene, this.physicsWorld, this.onTerrain([0, 0, -2]));
+                this.dungBall.onDamage = (damage) => this.spawnDebris(damage);
+                this.beetle.setBall(this.dungBall);
+            } catch (error) {
+                console.error('Failed to create dung ball:', error);
+                throw new Error('Dung ball creation failed: ' + error.message);
+            }
+
+            // Fill the ponds, mark the upgrade stations and place obstacles before scattering dung, so no pile lands in them
+            PONDS.forEach(pond => {
+                this.waters.push(new Water(this.scene, this.onTerrain(pond.position), pond.radius));
+            });
+            UPGRADE_STATIONS.forEach(station => {
+                this.upgradeStations.push(new UpgradeStation(this.scene, this.onTerrain(station.position), station.radius));
+            });
+            OBSTACLES.forEach(({ type, position, ...size }) => {
+                this.obstacles.push(new Obstacle(this.scene, this.physicsWorld, type, this.onTerrain(position), size));
+            });
+
+            // Scatter dung for the ball to pick up
+            this.spawnDungPiles();
+
+            // Notice when the ball gets away from the beetle or out of play
+            this.ballRecovery = new BallRecovery(this.physicsWorld, this.beetle, this.dungBall, {
+                waters: this.waters
+            });
+            this.ballRecovery.onLost = (reason) => this.onBallLost && this.onBallLost(reason);
+            this.ballRecovery.onFound = () => this.onBallFound && this.onBallFound();
+            this.ballRecovery.onRecovered = (recovery) => this.onBallRecovered && this.onBallRecovered(recovery);
+
+            // Collision wireframes, hidden until debug mode is switched on
+            if (!this.headless) {
+                this.physicsDebugDrawer = new PhysicsDebugDrawer(this.physicsWorld, this.scene);
+            }
+
+            // Arrow pointing the way back to the ball when it is off screen
+            if (!this.headless && this.camera) {
+                this.ballIndicator = new BallIndicator(this.camera, document.body);
+            }
+
+            // Create beetle controls; headless games are driven by scripted input
+            this.beetleControls = new Controls(this.beetle, {
+                onToggleDebug: () => this.physicsWorld.setDebugMode(),
+                onModeChange: (mode) => {
+                    if (this.onControlModeChange) {
+                        this.onControlModeChange(mode);
+                    }
+                },
+                target: this.headless ? null : undefined
+            });
+            
+            // Take back the scratch objects borrowed while building the level
+            this.physicsWorld.scratch.reset();
             
             // Mark as initialized
             this.isInitialized = true;
+            this._pendingStepTime = 0;
             console.log('Game initialized successfully');
             
-            // Start game loop
-            this.animate();
+            // Start game loop; headless games advance through step()
+            if (!this.headless) {
+                this.animate();
+            }
         } catch (error) {
             console.error('Failed to initialize game:', error);
             throw error;
@@ -137,29 +277,442 @@ export class Game {
             this.gameLoopStarted = true;
         }
 
-        requestAnimationFrame(() => this.animate());
+        this.loop.start();
+    }
 
-        const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastTime) / 1000;
-        this.lastTime = currentTime;
+    /**
+     * Advance the simulation by a span of time without the animation frame loop
+     * Runs as many fixed steps as fit, carrying any remainder over to the next call.
+     * @param {number} [deltaTime] - Time to simulate in seconds, one fixed step by default
+     * @returns {number} Number of fixed steps run
+     */
+    step(deltaTime = this.loop.fixedDeltaTime) {
+        if (!this.isInitialized) {
+            console.warn('Game not initialized, cannot step');
+            return 0;
+        }
+        if (this.loop.running) {
+            console.warn('Stepping manually while the game loop is running');
+        }
 
-        // Update physics
-        this.physicsWorld.update(deltaTime);
+        this._pendingStepTime += deltaTime;
+        let steps = 0;
+        while (this._pendingStepTime >= this.loop.fixedDeltaTime - STEP_TIME_EPSILON) {
+            this.loop.step();
+            this._pendingStepTime -= this.loop.fixedDeltaTime;
+            steps++;
+        }
+        this._pendingStepTime = Math.max(this._pendingStepTime, 0);
+        return steps;
+    }
+
+    /**
+     * Advance gameplay and physics by one fixed step
+     * @param {number} deltaTime - Fixed step length in seconds
+     */
+    fixedUpdate(deltaTime) {
+        // Sample input before moving anything this step
+        if (this.beetleControls) {
+            this.beetleControls.update();
+        }
 
         // Update beetle
         if (this.beetle) {
             this.beetle.update(deltaTime);
         }
 
-        // Update controls
-        if (this.beetleControls) {
-            this.beetleControls.update();
+        // Update physics; the ball picks up dung and takes damage from its contacts
+        this.physicsWorld.update(deltaTime);
+
+        this.removeAbsorbedPiles();
+        this.updateDebris(deltaTime);
+        if (this.ballRecovery) {
+            this.ballRecovery.update(deltaTime, this.camera);
+        }
+        this.updateUpgradeStation();
+        if (this.dungBall) {
+            this.reportBallSize();
+        }
+        if (this.beetle) {
+            this.reportStamina();
+        }
+    }
+
+    /**
+     * Scatter dung piles of varying size and quality around the start along a sunflower spiral
+     */
+    spawnDungPiles() {
+        const [minVolume, maxVolume] = DUNG_PILE_VOLUME_RANGE;
+        const [minQuality, maxQuality] = DUNG_PILE_QUALITY_RANGE;
+
+        for (let i = 0; i < DUNG_PILE_COUNT; i++) {
+            const spread = Math.sqrt((i + 0.5) / DUNG_PILE_COUNT);
+            const distance = DUNG_PILE_MIN_DISTANCE + (DUNG_PILE_MAX_DISTANCE - DUNG_PILE_MIN_DISTANCE) * spread;
+            const angle = i * GOLDEN_ANGLE;
+            const position = this.onTerrain([Math.sin(angle) * distance, 0, -Math.cos(angle) * distance]);
+            if (this.waters.some(water => water.contains(position)) ||
+                this.upgradeStations.some(station => station.contains(position)) ||
+                this.obstacles.some(obstacle => obstacle.contains(position, DUNG_PILE_OBSTACLE_CLEARANCE))) continue;
+
+            // Low-discrepancy sequences vary size and quality without a random generator
+            const size = (i * 0.618034) % 1;
+            const freshness = (i * 0.754878 + 0.5) % 1;
+
+            this.addDungPile(position, {
+                volume: minVolume + (maxVolume - minVolume) * size,
+                quality: minQuality + (maxQuality - minQuality) * freshness,
+                type: DUNG_PILE_TYPES[i % DUNG_PILE_TYPES.length]
+            });
+        }
+    }
+
+    /**
+     * Areas the terrain is levelled under: the start, and everything the level places that needs flat ground
+     * @returns {Array<{x: number, z: number, radius: number}>} Flat areas for TerrainManager
+     */
+    getFlatAreas() {
+        const area = ([x, , z], radius) => ({ x, z, radius });
+        return [
+            area([0, 0, 0], START_AREA_RADIUS),
+            ...PONDS.map(pond => area(pond.position, pond.radius)),
+            ...UPGRADE_STATIONS.map(station => area(station.position, station.radius)),
+            ...OBSTACLES.map(obstacle => area(obstacle.position, obstacle.length ? obstacle.length / 2 : obstacle.radius))
+        ];
+    }
+
+    /**
+     * Lift a layout position onto the terrain
+     * @param {number[]} position - [x, height above the terrain, z]
+     * @returns {THREE.Vector3} World position
+     */
+    onTerrain([x, y, z]) {
+        return new THREE.Vector3(x, this.terrain.getHeightAt(x, z) + y, z);
+    }
+
+    /**
+     * Place a dung pile in the world
+     * @param {THREE.Vector3} position - Ground position of the pile
+     * @param {Object} [options] - Pile options, see DungPile
+     * @returns {DungPile} The new pile
+     */
+    addDungPile(position, options) {
+        const pile = new DungPile(this.scene, this.physicsWorld, position, options);
+        this.dungPiles.push(pile);
+        return pile;
+    }
+
+    /**
+     * Take away the piles the ball has rolled up
+     */
+    removeAbsorbedPiles() {
+        if (!this.dungPiles.some(pile => pile.absorbed)) return;
+
+        this.dungPiles = this.dungPiles.filter(pile => {
+            if (!pile.absorbed) return true;
+            pile.dispose();
+            return false;
+        });
+    }
+
+    /**
+     * Remove every dung pile from the world
+     */
+    clearDungPiles() {
+        this.dungPiles.forEach(pile => pile.dispose());
+        this.dungPiles = [];
+    }
+
+    /**
+     * Break the dung knocked off the ball into chunks flying away from the impact
+     * @param {Object} damage - Damage reported by DungBall.onDamage
+     */
+    spawnDebris(damage) {
+        const count = THREE.MathUtils.clamp(Math.round(damage.volume / DEBRIS_CHUNK_VOLUME), 1, MAX_DEBRIS_PER_IMPACT);
+        const volume = damage.volume / count;
+        const mass = volume * this.dungBall.getMass() / this.dungBall.getVolume();
+        const chunkRadius = Math.cbrt(volume * 3 / (4 * Math.PI));
+
+        const center = this.dungBall.getPosition();
+        const ballVelocity = this.dungBall.getVelocity();
+        const distance = this.dungBall.getSize() + chunkRadius;
+
+        // Chunks fan out over the top of the ball, leaning away from what it hit
+        const away = new THREE.Vector3(damage.normal.x, 0, damage.normal.z);
+        const direction = new THREE.Vector3();
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            direction.set(Math.cos(angle) * 0.6, 1, Math.sin(angle) * 0.6).add(away).normalize();
+
+            const position = center.clone().addScaledVector(direction, distance);
+            const velocity = ballVelocity.clone().multiplyScalar(0.5).addScaledVector(direction, DEBRIS_SPEED);
+            this.addDebris(position, velocity, { volume, mass, composition: damage.composition });
+        }
+    }
+
+    /**
+     * Place a chunk of dung debris in the world
+     * @param {THREE.Vector3} position - Centre of the chunk
+     * @param {THREE.Vector3} velocity - Initial velocity in m/s
+     * @param {Object} options - Chunk options, see DungDebris
+     * @returns {DungDebris} The new chunk
+     */
+    addDebris(position, velocity, options) {
+        const chunk = new DungDebris(this.scene, this.physicsWorld, position, velocity, options);
+        this.dungDebris.push(chunk);
+
+        // Keep the number of bodies bounded during long chains of impacts
+        if (this.dungDebris.length > MAX_DEBRIS) {
+            this.dungDebris.shift().dispose();
+        }
+        return chunk;
+    }
+
+    /**
+     * Age the debris and take away chunks that were picked up or crumbled
+     * @param {number} deltaTime - Fixed step length in seconds
+     */
+    updateDebris(deltaTime) {
+        this.dungDebris = this.dungDebris.filter(chunk => {
+            chunk.update(deltaTime);
+            if (!chunk.absorbed && !chunk.isExpired()) return true;
+            chunk.dispose();
+            return false;
+        });
+    }
+
+    /**
+     * Remove every chunk of debris from the world
+     */
+    clearDebris() {
+        this.dungDebris.forEach(chunk => chunk.dispose());
+        this.dungDebris = [];
+    }
+
+    /**
+     * Find the upgrade station the beetle has brought its ball to, notifying on changes
+     */
+    updateUpgradeStation() {
+        let active = null;
+        if (this.beetle && this.dungBall && !this.ballRecovery.isRecovering()) {
+            const ballPosition = this.dungBall.getPosition();
+            active = this.upgradeStations.find(station => {
+                return station.contains(this.beetle.position) &&
+                    station.contains(ballPosition, this.dungBall.getSize());
+            }) || null;
+        }
+        if (active === this.activeUpgradeStation) return;
+
+        this.activeUpgradeStation = active;
+        if (this.onUpgradeStationChange) {
+            this.onUpgradeStationChange(active);
+        }
+    }
+
+    /**
+     * List the beetle upgrades with their levels and what the next level costs
+     * @returns {Object[]} { id, name, stat, level, maxLevel, cost, available, affordable } per upgrade
+     */
+    getUpgradeOptions() {
+        const spare = this.dungBall ? this.dungBall.getSpareVolume() : 0;
+        return Object.keys(BEETLE_UPGRADES).map(id => {
+            const upgrade = BEETLE_UPGRADES[id];
+            const cost = this.beetle.getUpgradeCost(id);
+            return {
+                id,
+                name: upgrade.name,
+                stat: upgrade.stat,
+                level: this.beetle.getUpgradeLevel(id),
+                maxLevel: upgrade.maxLevel,
+                cost,
+                available: this.beetle.canUpgrade(id),
+                affordable: cost <= spare
+            };
+        });
+    }
+
+    /**
+     * Spend ball volume on the next level of a beetle upgrade at an upgrade station
+     * @param {string} id - Upgrade id from BeetleUpgrades
+     * @returns {boolean} True if the upgrade was bought
+     */
+    buyUpgrade(id) {
+        if (!this.activeUpgradeStation) {
+            console.warn('Bring the ball to an upgrade station to buy upgrades');
+            return false;
+        }
+        if (!this.beetle.canUpgrade(id)) {
+            console.warn(`Upgrade "${id}" is not available`);
+            return false;
+        }
+        if (!this.dungBall.spendVolume(this.beetle.getUpgradeCost(id))) {
+            console.warn(`Not enough dung for upgrade "${id}"`);
+            return false;
+        }
+
+        this.beetle.upgrade(id);
+        this.dungBall.damageResistance = this.beetle.stats.damageResistance;
+        this.reportBallSize();
+        if (this.onBeetleUpgrade) {
+            this.onBeetleUpgrade(id, this.beetle.getUpgradeLevel(id), { ...this.beetle.stats });
+        }
+        return true;
+    }
+
+    /**
+     * Notify the UI when the ball's size or weight changes
+     */
+    reportBallSize() {
+        const size = this.dungBall.getSize();
+        const mass = this.dungBall.getMass();
+        if (this.lastBallSize !== null &&
+            Math.abs(size - this.lastBallSize) < BALL_SIZE_REPORT_STEP &&
+            Math.abs(mass - this.lastBallMass) < BALL_MASS_REPORT_STEP) return;
+
+        this.lastBallSize = size;
+        this.lastBallMass = mass;
+        if (this.onBallSizeChange) {
+            this.onBallSizeChange(size, mass);
+        }
+    }
+
+    /**
+     * Notify the UI when the beetle's stamina, its capacity or its exhaustion changes
+     */
+    reportStamina() {
+        const stamina = this.beetle.stamina;
+        const capacity = this.beetle.stats.stamina;
+        const last = this.lastStamina;
+        if (last !== null &&
+            Math.abs(stamina.current - last.current) < STAMINA_REPORT_STEP &&
+            capacity === last.capacity &&
+            stamina.exhausted === last.exhausted) return;
+
+        this.lastStamina = { current: stamina.current, capacity, exhausted: stamina.exhausted };
+        if (this.onStaminaChange) {
+            this.onStaminaChange(stamina.current, capacity, stamina.exhausted);
+        }
+    }
+
+    /**
+     * Capture the whole simulation as plain data
+     * The result can be stored as JSON for save games, checkpoints or bug reports.
+     * @returns {Object|null} Snapshot for restore(), or null before initialization
+     */
+    snapshot() {
+        if (!this.isInitialized) return null;
+
+        // Debris is created again on restore, so its bodies are stored with it
+        const physics = this.physicsWorld.snapshot();
+        const debris = this.dungDebris.filter(chunk => !chunk.absorbed);
+        debris.forEach(chunk => delete physics.bodies[chunk.bodyId]);
+
+        return {
+            version: SNAPSHOT_VERSION,
+            step: this.loop.stepCount,
+            physics,
+            beetle: this.beetle.getState(),
+            dungBall: this.dungBall.getState(),
+            dungPiles: this.dungPiles.filter(pile => !pile.absorbed).map(pile => pile.getState()),
+            dungDebris: debris.map(chunk => chunk.getState()),
+            ballRecovery: this.ballRecovery.getState()
+        };
+    }
+
+    /**
+     * Put the simulation back into a captured state
+     * The game must have been set up the same way as when the snapshot was taken.
+     * @param {Object} snapshot - Result of snapshot()
+     * @returns {boolean} True if the snapshot was restored
+     */
+    restore(snapshot) {
+        if (!this.isInitialized) {
+            console.warn('Game not initialized, cannot restore a snapshot');
+            return false;
+        }
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            console.error('Unsupported game snapshot version:', snapshot && snapshot.version);
+            return false;
+        }
+
+        try {
+            // Piles and debris come and go, so they are created again rather than restored
+            this.clearDungPiles();
+            snapshot.dungPiles.forEach(state => {
+                this.addDungPile(new THREE.Vector3().fromArray(state.position), state);
+            });
+            this.clearDebris();
+            snapshot.dungDebris.forEach(state => {
+                const chunk = this.addDebris(new THREE.Vector3(), new THREE.Vector3(), state);
+                this.physicsWorld.setBodyState(chunk.bodyId, state.body);
+                chunk.update(0);
+            });
+
+            // Bodies first, so the entities pick up their restored transforms
+            if (!this.physicsWorld.restore(snapshot.physics)) return false;
+            this.dungBall.setState(snapshot.dungBall);
+            this.beetle.setState(snapshot.beetle);
+            this.ballRecovery.setState(snapshot.ballRecovery);
+            this.dungBall.damageResistance = this.beetle.stats.damageResistance;
+            this.loop.stepCount = snapshot.step;
+
+            this.lastBallSize = null;
+            this.lastBallMass = null;
+            this.reportBallSize();
+            this.lastStamina = null;
+            this.reportStamina();
+            this.updateUpgradeStation();
+            this.physicsWorld.scratch.reset();
+            return true;
+        } catch (error) {
+            console.error('Error restoring game snapshot:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Render the scene between the last two simulation steps
+     * @param {number} alpha - Interpolation factor (0-1)
+     * @param {number} frameTime - Seconds since the last frame
+     */
+    render(alpha, frameTime) {
+        // Place every physics-driven mesh between its last two states
+        this.physicsWorld.interpolate(alpha);
+
+        // Walk the beetle's legs to where its body ended up
+        if (this.beetle) {
+            this.beetle.updateModel(frameTime);
+        }
+
+        if (this.physicsDebugDrawer) {
+            this.physicsDebugDrawer.update();
+        }
+
+        // Point the way back only to a lost ball that is still in play
+        if (this.ballIndicator) {
+            const recovery = this.ballRecovery;
+            const ballPosition = recovery.lost && !recovery.isRecovering() ? this.dungBall.mesh.position : null;
+            const distance = this.dungBall.mesh.position.distanceTo(this.beetle.position);
+            this.ballIndicator.update(ballPosition, distance);
         }
 
         // Render scene
         this.renderer.render(this.scene, this.camera);
     }
 
+    /**
+     * Pause the simulation (rendering continues)
+     */
+    pause() {
+        this.loop.pause();
+    }
+
+    /**
+     * Resume the simulation without catching up on paused time
+     */
+    resume() {
+        this.loop.resume();
+    }
+
     /**
      * Handle window resize
      */
@@ -178,6 +731,7 @@ export class Game {
         console.log('Disposing game...');
         
         // Stop the game loop
+        this.loop.stop();
         this.isInitialized = false;
         this.gameLoopStarted = false;  // Reset the game loop flag
         
@@ -191,9 +745,40 @@ export class Game {
             await this.beetle.dispose();
         }
         
-        // Clean up ground
-        if (this.ground) {
-            await this.ground.dispose();
+        // Clean up dung ball
+        if (this.dungBall) {
+            this.dungBall.dispose();
+            this.dungBall = null;
+        }
+
+        // Clean up dung piles, debris, ponds, stations and obstacles
+        this.clearDungPiles();
+        this.clearDebris();
+        this.waters.forEach(water => water.dispose());
+        this.waters = [];
+        this.upgradeStations.forEach(station => station.dispose());
+        this.upgradeStations = [];
+        this.obstacles.forEach(obstacle => obstacle.dispose());
+        this.obstacles = [];
+        this.activeUpgradeStation = null;
+        this.ballRecovery = null;
+
+        // Clean up the ball indicator
+        if (this.ballIndicator) {
+            this.ballIndicator.dispose();
+            this.ballIndicator = null;
+        }
+        
+        // Clean up terrain
+        if (this.terrain) {
+            this.terrain.dispose();
+            this.terrain = null;
+        }
+        
+        // Clean up debug drawer before the world it draws
+        if (this.physicsDebugDrawer) {
+            this.physicsDebugDrawer.dispose();
+            this.physicsDebugDrawer = null;
         }
         
         // Clean up physics world
@@ -207,7 +792,9 @@ export class Game {
         }
         
         // Remove event listeners
-        window.removeEventListener('resize', this.onWindowResize);
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('resize', this.onWindowResize);
+        }
         
         // Clear scene
         while(this.scene.children.length > 0) { 
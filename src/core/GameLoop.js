@@ -0,0 +1,157 @@
+/**
+ * GameLoop - Fixed-timestep simulation loop with render interpolation
+ */
+
+export class GameLoop {
+    /**
+     * @param {Object} options - Loop options
+     * @param {Function} options.update - Called once per fixed step with the step length in seconds
+     * @param {Function} options.render - Called once per frame with the interpolation factor (0-1) and the simulated frame time in seconds
+     * @param {number} [options.stepRate=60] - Simulation ticks per second
+     * @param {number} [options.maxSubSteps=5] - Maximum fixed steps run in a single frame
+     * @param {number} [options.maxFrameTime=0.25] - Largest frame delta accepted, in seconds
+     */
+    constructor(options = {}) {
+        this.update = options.update || (() => {});
+        this.render = options.render || (() => {});
+        this.stepRate = options.stepRate || 60;
+        this.fixedDeltaTime = 1 / this.stepRate;
+        this.maxSubSteps = options.maxSubSteps || 5;
+        this.maxFrameTime = options.maxFrameTime || 0.25;
+
+        // Loop state
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.running = false;
+        this.paused = false;
+        this.hidden = false;
+        this.frameHandle = null;
+        this.stepCount = 0;
+
+        this._onFrame = this._onFrame.bind(this);
+        this._onVisibilityChange = this._onVisibilityChange.bind(this);
+    }
+
+    /**
+     * Start requesting animation frames
+     */
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        this.paused = false;
+        this._resetTiming();
+
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this._onVisibilityChange);
+        }
+
+        this.frameHandle = requestAnimationFrame(this._onFrame);
+    }
+
+    /**
+     * Stop the loop and release the visibility listener
+     */
+    stop() {
+        this.running = false;
+
+        if (this.frameHandle !== null) {
+            cancelAnimationFrame(this.frameHandle);
+            this.frameHandle = null;
+        }
+
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        }
+    }
+
+    /**
+     * Suspend simulation; frames keep rendering the last state
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Resume simulation without catching up on the time spent paused
+     */
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this._resetTiming();
+    }
+
+    /**
+     * Advance the loop by a frame's worth of wall-clock time
+     * @param {number} frameTime - Elapsed time since the previous frame in seconds
+     * @returns {number} Interpolation factor between the previous and current state
+     */
+    advance(frameTime) {
+        // Clamp long frames (breakpoints, slow devices) to avoid the spiral of death
+        frameTime = Math.min(Math.max(frameTime, 0), this.maxFrameTime);
+        this.accumulator += frameTime;
+
+        let subSteps = 0;
+        while (this.accumulator >= this.fixedDeltaTime && subSteps < this.maxSubSteps) {
+            this.step();
+            this.accumulator -= this.fixedDeltaTime;
+            subSteps++;
+        }
+
+        // Drop any backlog we could not simulate this frame
+        if (this.accumulator >= this.fixedDeltaTime) {
+            this.accumulator %= this.fixedDeltaTime;
+        }
+
+        return this.accumulator / this.fixedDeltaTime;
+    }
+
+    /**
+     * Run a single fixed step immediately, outside of any frame timing
+     */
+    step() {
+        this.update(this.fixedDeltaTime);
+        this.stepCount++;
+    }
+
+    /**
+     * Animation frame callback
+     * @param {number} now - High resolution timestamp from requestAnimationFrame
+     * @private
+     */
+    _onFrame(now) {
+        if (!this.running) return;
+
+        this.frameHandle = requestAnimationFrame(this._onFrame);
+
+        // The first frame after (re)starting only establishes a time base
+        const frameTime = this.lastTime === null ? 0 : (now - this.lastTime) / 1000;
+        this.lastTime = now;
+
+        const stopped = this.paused || this.hidden;
+        const alpha = stopped ? 1 : this.advance(frameTime);
+        this.render(alpha, stopped ? 0 : Math.min(frameTime, this.maxFrameTime));
+    }
+
+    /**
+     * Pause while the tab is hidden and resume cleanly once it is visible
+     * @private
+     */
+    _onVisibilityChange() {
+        this.hidden = document.hidden;
+
+        if (!this.hidden) {
+            this._resetTiming();
+        }
+    }
+
+    /**
+     * Forget the previous frame time and any accumulated remainder
+     * @private
+     */
+    _resetTiming() {
+        this.lastTime = null;
+        this.accumulator = 0;
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * LevelConfig - What the level is made of and where it is placed
+ */
+
+// Dung piles scattered around the start; they are the only way for the ball to grow
+export const DUNG_PILE_COUNT = 40;
+export const DUNG_PILE_MIN_DISTANCE = 4; // Clear area around the start (m)
+export const DUNG_PILE_MAX_DISTANCE = 35; // Edge of the scattered area (m)
+export const DUNG_PILE_VOLUME_RANGE = [0.05, 0.35]; // m³
+export const DUNG_PILE_QUALITY_RANGE = [0.4, 1];
+export const DUNG_PILE_OBSTACLE_CLEARANCE = 0.5; // Gap kept between piles and obstacles (m)
+export const DUNG_PILE_TYPES = ['herbivore', 'grass', 'herbivore', 'sand', 'grass', 'herbivore', 'snow']; // Repeating, so herbivore dung is commonest
+
+// Dung knocked off the ball breaks into chunks of about this volume (m³)
+export const DEBRIS_CHUNK_VOLUME = 0.02;
+export const MAX_DEBRIS_PER_IMPACT = 6;
+export const MAX_DEBRIS = 30; // Oldest chunks crumble early past this many
+export const DEBRIS_SPEED = 2; // Speed chunks fly off the ball at (m/s)
+
+// Hills are scaled down from TerrainManager's default so the beetle can push up them
+export const TERRAIN_HEIGHT_SCALE = 0.5;
+export const START_AREA_RADIUS = 4; // Flat ground the beetle and ball start on (m)
+
+// Ponds the ball can sink in: ground position and radius (m)
+export const PONDS = [
+    { position: [-14, 0, 10], radius: 3.5 },
+    { position: [22, 0, -18], radius: 5 }
+];
+
+// Spots where ball volume can be traded for beetle upgrades: ground position and radius (m)
+export const UPGRADE_STATIONS = [
+    { position: [6, 0, 6], radius: 2 },
+    { position: [-20, 0, -24], radius: 2.5 }
+];
+
+// Rocks, thorn bushes and fallen logs for the ball to knock against: type, ground position and size (m)
+export const OBSTACLES = [
+    { type: 'rock', position: [9, 0, -9], radius: 0.6 },
+    { type: 'rock', position: [-10, 0, -19], radius: 0.9 },
+    { type: 'rock', position: [16, 0, 13], radius: 0.7 },
+    { type: 'rock', position: [-26, 0, 4], radius: 1.2 },
+    { type: 'thorn', position: [-6, 0, 15], radius: 0.8 },
+    { type: 'thorn', position: [13, 0, -25], radius: 1 },
+    { type: 'thorn', position: [27, 0, 3], radius: 0.9 },
+    { type: 'log', position: [-17, 0, -8], radius: 0.25, length: 3, rotation: 0.6 },
+    { type: 'log', position: [4, 0, 19], radius: 0.3, length: 4, rotation: -0.3 }
+];
@@ -1,51 +1,132 @@
 import * as THREE from 'three';
+import { applyBeetleUpgrades, getBeetleUpgrade, getUpgradeCost } from './BeetleUpgrades';
+import { BeetleModel } from './BeetleModel';
+import { BeetleStamina } from './BeetleStamina';
+
+// Ammo.js activation state that keeps a body simulated even when at rest
+const DISABLE_DEACTIVATION = 4;
+
+// Layers the beetle can stand on; pickups, triggers and debris are walked through
+const GROUND_PROBE_LAYERS = ['terrain', 'obstacle', 'ball'];
+
+// Gap between capsule and ball surface that still counts as touching (m)
+const BALL_CONTACT_TOLERANCE = 0.05;
+
+// Input must point at least this much towards the ball to push it
+const PUSH_ALIGNMENT = 0.3;
+
+// How much faster than the ball the beetle may walk into it while pushing (m/s)
+const PUSH_FOLLOW_SPEED = 0.1;
+
+// How much faster than the ball the beetle may drag it while holding on (m/s)
+const GRAB_FOLLOW_SPEED = 0.5;
+
+// How quickly the beetle closes in on a held ball that lags behind its grip (1/s)
+const GRAB_STIFFNESS = 4;
+
+// Grip is lost when the held ball lags this far behind where the grip holds it (m)
+const GRAB_BREAK_DISTANCE = 0.3;
+
+// How quickly the body settles to a new surface angle (1/s); higher follows bumps more closely
+const TILT_SMOOTHING = 8;
+
+// The body never leans further than this from upright, whatever it stands on (rad)
+const MAX_TILT = Math.PI / 3;
+
+// Bumps barely knock the body over; steering sets its turning directly anyway
+const INERTIA_SCALE = 10;
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
 
 /**
  * Beetle - Represents the player-controlled beetle character
- * Uses direct position updates for movement
+ * Driven by a dynamic Ammo.js capsule that floats at a ride height and leans with the ground.
  */
+
 export class Beetle {
     constructor(scene, physicsWorld) {
         this.scene = scene;
         this.physicsWorld = physicsWorld;
         this.model = null;
+        this.beetleModel = null;
+        this.body = null;
+        this.bodyId = null;
         
         // Position and rotation
-        this.position = new THREE.Vector3(0, 0.1, 0); // Slightly above ground
+        this.position = new THREE.Vector3(0, 0.18, 0); // Ride height above ground
         this.rotation = new THREE.Euler(0, 0, 0);
+        this.quaternion = new THREE.Quaternion();
         
         // Movement properties
         this.stats = {
             speed: 5,
             rotationSpeed: 5,
-            height: 0.1 // Height above ground
+            height: 0.18, // Height of the body centre above ground
+            acceleration: 30, // Horizontal acceleration on the ground (m/s²)
+            airControl: 0.2, // Fraction of acceleration available while airborne
+            stepHeight: 0.1, // Tallest ledge the beetle walks up
+            maxSlope: Math.PI / 4, // Steepest walkable slope in radians
+            mass: 0.5,
+            strength: 10, // Largest force the beetle can exert on the ball (N)
+            stamina: 100, // Stamina the beetle can store
+            damageResistance: 0 // Fraction of impact damage the ball it handles is spared (0-1)
         };
         
+        // Upgrades bought with ball volume are applied on top of the starting stats
+        this.baseStats = { ...this.stats };
+        this.upgradeLevels = {}; // Upgrade id -> level, see BeetleUpgrades
+        
+        // Effort spent pushing, climbing and sprinting; stats.stamina is how much it can hold
+        this.stamina = new BeetleStamina(this.stats.stamina);
+        this.sprinting = false;
+        
+        // Collision capsule lying along the beetle's length (local Z)
+        this.capsuleRadius = 0.08;
+        this.capsuleLength = 0.8;
+        
         // Movement state
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.movementDirection = new THREE.Vector3(0, 0, 0);
+        
+        // Ground contact state, refreshed every step
+        this.isGrounded = false;
+        this.groundDistance = Infinity;
+        this.groundNormal = new THREE.Vector3(0, 1, 0);
+        this.slopeAngle = 0;
+        this.surfaceUp = new THREE.Vector3(0, 1, 0); // Smoothed up direction the body leans to
+        
+        // Ball interaction state
+        this.ball = null;
+        this.attachedBall = null;
+        this.constraint = null;
+        this.isPushing = false;
+        this.ballContact = {
+            touching: false,
+            point: new THREE.Vector3(),
+            normal: new THREE.Vector3() // Points from the beetle into the ball
+        };
+        this._grabDistance = 0;
+        this._grabRadius = 0;
+        
+        // Reused Ammo.js objects
+        this._tmpVector = null;
     }
 
     async init() {
         try {
             console.log('Initializing beetle...');
             
-            // Create visual beetle model
-            const geometry = new THREE.BoxGeometry(0.5, 0.2, 0.8);
-            const material = new THREE.MeshStandardMaterial({ 
-                color: 0x2c1810,
-                roughness: 0.8,
-                metalness: 0.2
-            });
-            
-            this.model = new THREE.Mesh(geometry, material);
+            // Create visual beetle model; its legs are posed every frame by updateModel()
+            this.beetleModel = new BeetleModel(this.physicsWorld, { rideHeight: this.stats.height });
+            this.model = this.beetleModel.root;
             this.model.position.copy(this.position);
-            this.model.castShadow = true;
-            this.model.receiveShadow = true;
             
             // Add to scene
             this.scene.add(this.model);
             
+            // Create physics body
+            this.createPhysicsBody();
+            
             console.log('Beetle initialized successfully');
         } catch (error) {
             console.error('Error initializing beetle:', error);
@@ -53,44 +134,589 @@ export class Beetle {
         }
     }
 
+    /**
+     * Create the beetle's capsule rigid body and register it with the physics world
+     */
+    createPhysicsBody() {
+        const Ammo = this.physicsWorld.Ammo;
+        if (!Ammo) {
+            console.error('Ammo.js not initialized');
+            return;
+        }
+        
+        const scratch = this.physicsWorld.scratch;
+        const cylinderHeight = this.capsuleLength - this.capsuleRadius * 2;
+        const shape = new Ammo.btCapsuleShapeZ(this.capsuleRadius, cylinderHeight);
+        
+        const transform = scratch.transform();
+        transform.setOrigin(scratch.vector3(this.position.x, this.position.y, this.position.z));
+        
+        const motionState = new Ammo.btDefaultMotionState(transform);
+        const localInertia = scratch.vector3(0, 0, 0);
+        shape.calculateLocalInertia(this.stats.mass, localInertia);
+        localInertia.op_mul(INERTIA_SCALE);
+        
+        const rbInfo = new Ammo.btRigidBodyConstructionInfo(this.stats.mass, motionState, shape, localInertia);
+        this.body = new Ammo.btRigidBody(rbInfo);
+        
+        // Movement is velocity-driven, so contact friction would only snag on walls
+        this.body.setFriction(0);
+        this.body.setRestitution(0);
+        
+        // Orientation is steered through angular velocity every step, see _steer()
+        this.body.setAngularFactor(scratch.vector3(1, 1, 1));
+        this.body.setActivationState(DISABLE_DEACTIVATION);
+        
+        // Add to physics world, which now owns the body; it interpolates the model from it
+        this.bodyId = this.physicsWorld.addRigidBody(this.body, {
+            mesh: this.model,
+            owner: this,
+            layer: 'beetle'
+        });
+        
+        this._tmpVector = new Ammo.btVector3(0, 0, 0);
+        
+        // Clean up
+        Ammo.destroy(rbInfo);
+    }
+
+    /**
+     * Advance the beetle by one fixed simulation step
+     * Runs before the physics step and sets the body's velocity for it
+     * @param {number} deltaTime - Fixed step length in seconds
+     */
     update(deltaTime) {
-        // Update position based on velocity
-        this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
+        if (!this.body) return;
+        
+        this._syncFromBody();
+        this._probeGround();
+        this._detectBallContact();
+        
+        const linearVelocity = this.body.getLinearVelocity();
+        const current = new THREE.Vector3(linearVelocity.x(), linearVelocity.y(), linearVelocity.z());
+        const walkable = this.isGrounded && this.slopeAngle <= this.stats.maxSlope;
+        
+        // Desired horizontal velocity from input, as fast as the beetle has the stamina for
+        const target = new THREE.Vector3(this.velocity.x, 0, this.velocity.z)
+            .multiplyScalar(this.stamina.getSpeedFactor(this.sprinting));
+        if (this.isGrounded && !walkable) {
+            // Too steep: strip the component that would walk up the slope
+            const downhill = new THREE.Vector3(this.groundNormal.x, 0, this.groundNormal.z).normalize();
+            const intoSlope = target.dot(downhill);
+            if (intoSlope < 0) {
+                target.addScaledVector(downhill, -intoSlope);
+            }
+        }
+        
+        this.isPushing = false;
+        if (this.attachedBall) {
+            this._updateGrab(deltaTime, target);
+        } else {
+            this.push(target, walkable);
+        }
+        
+        // Accelerate towards the target horizontal velocity
+        const maxChange = this.stats.acceleration * (walkable ? 1 : this.stats.airControl) * deltaTime;
+        const change = new THREE.Vector3(target.x - current.x, 0, target.z - current.z);
+        if (change.length() > maxChange) {
+            change.setLength(maxChange);
+        }
+        current.add(change);
+        
+        if (walkable) {
+            // Spring towards ride height measured square to the surface, cancelling the world's gravity
+            const offset = this.stats.height / this.groundNormal.y - this.groundDistance;
+            current.y = (offset / deltaTime) * 0.5 - this.physicsWorld.gravity.y * deltaTime;
+            
+            // Rise and fall with the slope under the feet instead of lagging behind it
+            const n = this.groundNormal;
+            current.y -= (n.x * current.x + n.z * current.z) / n.y;
+        }
+        
+        this._tmpVector.setValue(current.x, current.y, current.z);
+        this.body.setLinearVelocity(this._tmpVector);
+        
+        this._steer(deltaTime);
+        this._exert(deltaTime);
+    }
+
+    /**
+     * Spend or regain stamina for the effort the beetle is making this step
+     * @param {number} deltaTime - Fixed step length in seconds
+     * @private
+     */
+    _exert(deltaTime) {
+        const moving = this.velocity.lengthSq() > 0;
+        const slope = this.isGrounded ? this.slopeAngle : 0;
+        
+        // Only the part of the heading that goes uphill is climbing
+        let climb = 0;
+        if (moving && slope > 0) {
+            const uphill = new THREE.Vector3(-this.groundNormal.x, 0, -this.groundNormal.z).normalize();
+            const heading = new THREE.Vector3(this.velocity.x, 0, this.velocity.z).normalize();
+            climb = slope * Math.max(heading.dot(uphill), 0);
+        }
+        
+        const hauling = this.isPushing || (this.attachedBall && moving);
+        this.stamina.update(deltaTime, this.stats.stamina, {
+            moving,
+            sprinting: this.sprinting,
+            climb,
+            slope,
+            ballMass: hauling ? this.ball.getMass() : 0
+        });
+    }
+
+    /**
+     * Get the force the beetle can exert on the ball right now
+     * @returns {number} Strength stat, less whatever exhaustion takes off (N)
+     */
+    getStrength() {
+        return this.stats.strength * this.stamina.getStrengthFactor();
+    }
+
+    /**
+     * Turn the body towards the facing chosen in setMovement(), leaning with the smoothed ground normal
+     * @param {number} deltaTime - Fixed step length in seconds
+     * @private
+     */
+    _steer(deltaTime) {
+        const up = this.isGrounded ? this.groundNormal : WORLD_UP;
+        this.surfaceUp.lerp(up, 1 - Math.exp(-TILT_SMOOTHING * deltaTime)).normalize();
+        const tilt = this.surfaceUp.angleTo(WORLD_UP);
+        if (tilt > MAX_TILT) {
+            const axis = new THREE.Vector3().crossVectors(WORLD_UP, this.surfaceUp).normalize();
+            this.surfaceUp.copy(WORLD_UP).applyAxisAngle(axis, MAX_TILT);
+        }
+        
+        // Face the chosen heading, then lean the least that puts the body's up along the surface
+        const target = new THREE.Quaternion().setFromAxisAngle(WORLD_UP, this.rotation.y)
+            .premultiply(new THREE.Quaternion().setFromUnitVectors(WORLD_UP, this.surfaceUp));
+        
+        // Angular velocity that closes the gap at the beetle's turning rate
+        const error = target.multiply(this.quaternion.clone().invert());
+        if (error.w < 0) {
+            error.set(-error.x, -error.y, -error.z, -error.w);
+        }
+        const angle = 2 * Math.acos(Math.min(error.w, 1));
+        const sinHalf = Math.sqrt(Math.max(1 - error.w * error.w, 0));
+        const rate = sinHalf > 1e-6 ? angle * this.stats.rotationSpeed / sinHalf : 0;
+        this._tmpVector.setValue(error.x * rate, error.y * rate, error.z * rate);
+        this.body.setAngularVelocity(this._tmpVector);
+    }
+
+    /**
+     * Copy the body's current transform into position and quaternion
+     * @private
+     */
+    _syncFromBody() {
+        const transform = this.body.getWorldTransform();
+        const p = transform.getOrigin();
+        const q = transform.getRotation();
+        this.position.set(p.x(), p.y(), p.z());
+        this.quaternion.set(q.x(), q.y(), q.z(), q.w());
+    }
+
+    /**
+     * Cast a ray down from the body centre to find supporting ground
+     * @private
+     */
+    _probeGround() {
+        // Long enough to still find the ground below a walkable slope
+        const probeLength = (this.stats.height + this.stats.stepHeight) / Math.cos(this.stats.maxSlope);
+        const from = this.position;
+        const to = new THREE.Vector3(this.position.x, this.position.y - probeLength, this.position.z);
+        
+        const hit = this.physicsWorld.raycast(from, to, {
+            mask: GROUND_PROBE_LAYERS,
+            exclude: [this.bodyId]
+        });
+        
+        if (hit) {
+            this.isGrounded = true;
+            this.groundDistance = hit.distance;
+            this.groundNormal.copy(hit.normal).normalize();
+            this.slopeAngle = Math.acos(THREE.MathUtils.clamp(this.groundNormal.y, -1, 1));
+        } else {
+            this.isGrounded = false;
+            this.groundDistance = Infinity;
+            this.groundNormal.set(0, 1, 0);
+            this.slopeAngle = 0;
+        }
+    }
+
+    /**
+     * Find whether the capsule is touching the ball and where
+     * @private
+     */
+    _detectBallContact() {
+        const contact = this.ballContact;
+        contact.touching = false;
+        
+        if (!this.ball || !this.ball.body) return;
         
-        // Keep beetle at constant height
-        this.position.y = this.stats.height;
+        const center = this.ball.getPosition();
+        const radius = this.ball.getSize();
         
-        // Update model position
-        this.model.position.copy(this.position);
+        // Closest point on the capsule's core segment to the ball centre
+        const halfSegment = this.capsuleLength / 2 - this.capsuleRadius;
+        const axis = new THREE.Vector3(0, 0, 1).applyQuaternion(this.quaternion);
+        const along = THREE.MathUtils.clamp(
+            center.clone().sub(this.position).dot(axis),
+            -halfSegment,
+            halfSegment
+        );
+        const closest = this.position.clone().addScaledVector(axis, along);
         
-        // Update rotation
-        this.model.rotation.copy(this.rotation);
+        const offset = center.clone().sub(closest);
+        const distance = offset.length();
+        const gap = distance - this.capsuleRadius - radius;
+        if (gap > BALL_CONTACT_TOLERANCE || distance === 0) return;
+        
+        contact.touching = true;
+        contact.normal.copy(offset).divideScalar(distance);
+        contact.point.copy(center).addScaledVector(contact.normal, -radius);
+    }
+
+    /**
+     * Push the ball if the beetle is walking into it
+     * The push force is capped by the beetle's strength and the beetle is held to the ball's pace.
+     * @param {THREE.Vector3} target - Desired horizontal velocity, limited in place
+     * @param {boolean} grounded - Whether the beetle has footing to push from
+     */
+    push(target, grounded) {
+        const contact = this.ballContact;
+        if (!contact.touching || !grounded) return;
+        
+        const pushDirection = new THREE.Vector3(contact.normal.x, 0, contact.normal.z);
+        if (pushDirection.lengthSq() === 0) return;
+        pushDirection.normalize();
+        
+        const speed = target.length();
+        if (speed === 0) return;
+        
+        const alignment = target.dot(pushDirection) / speed;
+        if (alignment < PUSH_ALIGNMENT) return;
+        
+        // Push where the player is heading; grip on the dung lets the beetle
+        // steer the ball rather than only shove it along the contact normal
+        this.isPushing = true;
+        this.ball.applyForce(
+            target.clone().divideScalar(speed).multiplyScalar(this.getStrength() * alignment),
+            contact.point
+        );
+        
+        // Walk no faster into the ball than it is rolling away; scaling the
+        // whole velocity keeps the beetle behind the ball instead of sliding round it
+        const ballSpeed = Math.max(this.ball.getVelocity().dot(pushDirection), 0);
+        const targetAlong = target.dot(pushDirection);
+        const allowedAlong = Math.min(targetAlong, ballSpeed + PUSH_FOLLOW_SPEED);
+        target.multiplyScalar(allowedAlong / targetAlong);
+    }
+
+    /**
+     * Grab the ball with a point-to-point constraint at its centre
+     * The ball rolls freely about the pivot while the beetle holds its distance.
+     * @param {DungBall} ball - Ball to grab; must be touching the beetle
+     * @returns {boolean} True if the ball was grabbed
+     */
+    attachToBall(ball) {
+        if (!ball || !ball.body || !this.body || this.attachedBall) return false;
+        if (ball !== this.ball || !this.ballContact.touching) return false;
+        
+        const center = ball.getPosition();
+        const localCenter = center.clone().sub(this.position)
+            .applyQuaternion(this.quaternion.clone().invert());
+        
+        this._attach(ball, localCenter);
+        this._grabDistance = localCenter.length();
+        this._grabRadius = ball.getSize();
+        
+        console.log('Beetle grabbed the ball');
+        return true;
+    }
+
+    /**
+     * Join the beetle to the ball's centre with a point-to-point constraint
+     * @param {DungBall} ball - Ball to hold
+     * @param {THREE.Vector3} pivot - Ball centre in the beetle's local space
+     * @private
+     */
+    _attach(ball, pivot) {
+        const scratch = this.physicsWorld.scratch;
+        const pivotInBeetle = scratch.vector3(pivot.x, pivot.y, pivot.z);
+        const pivotInBall = scratch.vector3(0, 0, 0);
+        this.constraint = new this.physicsWorld.Ammo.btPoint2PointConstraint(this.body, ball.body, pivotInBeetle, pivotInBall);
+        
+        this.physicsWorld.addConstraint(this.constraint, true);
+        this.attachedBall = ball;
+    }
+
+    /**
+     * Release the ball if it is held
+     */
+    detachFromBall() {
+        if (!this.constraint) return;
+        
+        this.physicsWorld.removeConstraint(this.constraint);
+        this.physicsWorld.Ammo.destroy(this.constraint);
+        this.constraint = null;
+        this.attachedBall = null;
+        
+        console.log('Beetle released the ball');
+    }
+
+    /**
+     * Grab the ball if touching it, or release it if already held
+     * @returns {boolean} True if the ball is held afterwards
+     */
+    toggleGrab() {
+        if (this.attachedBall) {
+            this.detachFromBall();
+            return false;
+        }
+        return this.attachToBall(this.ball);
+    }
+
+    /**
+     * Keep the grab constraint within the beetle's strength and ball size
+     * The beetle is held to the ball's pace and steers back to where its grip is.
+
+     * @param {number} deltaTime - Fixed step length in seconds
+     * @param {THREE.Vector3} target - Desired horizontal velocity, limited in place
+     * @private
+     */
+    _updateGrab(deltaTime, target) {
+        const ball = this.attachedBall;
+        
+        // The beetle cannot hold on harder than it can push
+        this.constraint.get_m_setting().set_m_impulseClamp(this.getStrength() * deltaTime);
+        
+        // Keep the pivot at the ball's centre as the ball grows or shrinks
+        const radius = ball.getSize();
+        if (radius !== this._grabRadius) {
+            const pivot = this.constraint.getPivotInA();
+            const scale = (this._grabDistance + radius - this._grabRadius) / this._grabDistance;
+            this._tmpVector.setValue(pivot.x() * scale, pivot.y() * scale, pivot.z() * scale);
+            this.constraint.setPivotA(this._tmpVector);
+            this._grabDistance *= scale;
+            this._grabRadius = radius;
+        }
+        
+        // Walk no faster than the ball is being dragged along
+        const ballVelocity = ball.getVelocity().setY(0);
+        const relative = target.clone().sub(ballVelocity);
+        if (relative.length() > GRAB_FOLLOW_SPEED) {
+            relative.setLength(GRAB_FOLLOW_SPEED);
+        }
+        
+        // Close in on where the grip wants the ball to be
+        const pivot = this.constraint.getPivotInA();
+        const grip = new THREE.Vector3(pivot.x(), pivot.y(), pivot.z())
+            .applyQuaternion(this.quaternion)
+            .add(this.position);
+        const lag = ball.getPosition().sub(grip).setY(0);
+        target.copy(ballVelocity).add(relative).addScaledVector(lag, GRAB_STIFFNESS);
+        
+        // Let go if the ball has been wrenched out of the grip
+        if (lag.length() > GRAB_BREAK_DISTANCE) {
+            this.detachFromBall();
+        }
+    }
+
+    /**
+     * Get the level an upgrade has been raised to
+     * @param {string} id - Upgrade id from BeetleUpgrades
+     * @returns {number} Level, 0 if never bought
+     */
+    getUpgradeLevel(id) {
+        return this.upgradeLevels[id] || 0;
+    }
+
+    /**
+     * Get the ball volume the next level of an upgrade costs
+     * @param {string} id - Upgrade id from BeetleUpgrades
+     * @returns {number} Cost in m³, or Infinity if the upgrade is maxed out
+     */
+    getUpgradeCost(id) {
+        return getUpgradeCost(id, this.getUpgradeLevel(id));
+    }
+
+    /**
+     * Check whether an upgrade has a level left and its prerequisites are met
+     * Cost is not checked; the ball pays for upgrades, not the beetle.
+     * @param {string} id - Upgrade id from BeetleUpgrades
+     * @returns {boolean} True if the upgrade can be raised a level
+     */
+    canUpgrade(id) {
+        const upgrade = getBeetleUpgrade(id);
+        if (!upgrade || this.getUpgradeLevel(id) >= upgrade.maxLevel) return false;
+        return Object.keys(upgrade.requires).every(required => {
+            return this.getUpgradeLevel(required) >= upgrade.requires[required];
+        });
+    }
+
+    /**
+     * Raise an upgrade by a level and recalculate the stats
+     * @param {string} id - Upgrade id from BeetleUpgrades
+     * @returns {boolean} True if the upgrade was raised
+     */
+    upgrade(id) {
+        if (!this.canUpgrade(id)) return false;
+        
+        this.upgradeLevels[id] = this.getUpgradeLevel(id) + 1;
+        this.stats = applyBeetleUpgrades(this.baseStats, this.upgradeLevels);
+        console.log(`Beetle upgraded ${id} to level ${this.upgradeLevels[id]}`);
+        return true;
+    }
+
+    /**
+     * Capture the beetle's gameplay state; its body is part of the physics snapshot
+     * Contact and ground state is left out because every step recomputes it.
+     * @returns {Object} { facing, surfaceUp, velocity, sprinting, stamina, stats, upgrades, grab }
+     */
+    getState() {
+        let grab = null;
+        if (this.constraint) {
+            const pivot = this.constraint.getPivotInA();
+            grab = {
+                pivot: [pivot.x(), pivot.y(), pivot.z()],
+                distance: this._grabDistance,
+                radius: this._grabRadius
+            };
+        }
+        
+        return {
+            facing: this.rotation.y,
+            surfaceUp: this.surfaceUp.toArray(),
+            velocity: this.velocity.toArray(),
+            sprinting: this.sprinting,
+            stamina: this.stamina.getState(),
+            stats: { ...this.stats },
+            upgrades: { ...this.upgradeLevels },
+            grab
+        };
     }
 
-    setMovement(direction, speed) {
+    /**
+     * Restore a state captured by getState()
+     * Restore the physics snapshot first so the beetle picks up its body's transform.
+     * @param {Object} state - State to restore
+     */
+    setState(state) {
+        if (this.attachedBall) {
+            this.detachFromBall();
+        }
+        
+        Object.assign(this.stats, state.stats);
+        this.upgradeLevels = { ...state.upgrades };
+        this.rotation.y = state.facing;
+        this.surfaceUp.fromArray(state.surfaceUp);
+        this.velocity.fromArray(state.velocity);
+        this.sprinting = state.sprinting;
+        this.stamina.setState(state.stamina);
+        this.movementDirection.copy(this.velocity).normalize();
+        if (this.body) {
+            this._syncFromBody();
+        }
+        
+        if (state.grab && this.ball && this.ball.body && this.body) {
+            this._attach(this.ball, new THREE.Vector3().fromArray(state.grab.pivot));
+            this._grabDistance = state.grab.distance;
+            this._grabRadius = state.grab.radius;
+        }
+    }
+
+    /**
+     * Pose the model's body and legs for the frame about to be drawn
+     * Call after the physics world has placed the model for the frame.
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    updateModel(deltaTime) {
+        if (!this.beetleModel) return;
+        
+        const ball = this.ball && (this.ballContact.touching || this.attachedBall) ? this.ball : null;
+        this.beetleModel.update({
+            pushing: !!ball,
+            ballCenter: ball ? ball.mesh.position : null,
+            ballRadius: ball ? ball.getSize() : 0
+        }, deltaTime);
+    }
+
+    /**
+     * Subscribe to contacts between the beetle and other bodies
+     * @param {Function} callback - Receives PhysicsWorld contact events for the beetle
+     * @returns {Function} Call to unsubscribe
+     */
+    onContact(callback) {
+        if (!this.body) return () => {};
+        return this.physicsWorld.onContact(this.bodyId, callback);
+    }
+
+    /**
+     * Set the ball the beetle can push and grab
+     * @param {DungBall} ball - Ball to interact with
+     */
+    setBall(ball) {
+        if (this.attachedBall && this.attachedBall !== ball) {
+            this.detachFromBall();
+        }
+        this.ball = ball;
+    }
+
+    /**
+     * Ask the beetle to sprint; it only speeds up while it has stamina to burn
+     * @param {boolean} sprinting - Whether the sprint key is held
+     */
+    setSprinting(sprinting) {
+        this.sprinting = sprinting;
+    }
+
+    /**
+     * Set where the beetle walks and which way it faces
+     * @param {THREE.Vector3} direction - Horizontal direction to walk in; zero to stand still
+     * @param {number} speed - Walking speed (m/s)
+     * @param {THREE.Vector3|null} [facing=null] - Direction to face instead of the walking direction
+     */
+    setMovement(direction, speed, facing = null) {
         // Update movement direction
         this.movementDirection.copy(direction).normalize();
         
         // Calculate velocity
         this.velocity.copy(this.movementDirection).multiplyScalar(speed);
         
-        // Update rotation to face movement direction
-        if (this.movementDirection.length() > 0.01) {
-            this.rotation.y = Math.atan2(
-                this.movementDirection.x,
-                this.movementDirection.z
-            );
+        // Update rotation to face the given direction, or else the movement direction;
+        // a beetle holding the ball keeps its heading so its grip stays on the same side of it
+        const heading = facing || this.movementDirection;
+        if (heading.length() > 0.01 && !this.attachedBall) {
+            this.rotation.y = Math.atan2(heading.x, heading.z);
         }
     }
 
     dispose() {
         console.log('Disposing beetle...');
         
+        this.detachFromBall();
+        
+        // Remove physics body; the physics world destroys it
+        if (this.body) {
+            this.physicsWorld.removeRigidBody(this.bodyId);
+            this.body = null;
+            this.bodyId = null;
+        }
+        
+        if (this._tmpVector) {
+            this.physicsWorld.Ammo.destroy(this._tmpVector);
+            this._tmpVector = null;
+        }
+        
         // Remove model from scene
-        if (this.model) {
-            this.scene.remove(this.model);
+        if (this.beetleModel) {
+            this.beetleModel.dispose();
+            this.beetleModel = null;
+            this.model = null;
         }
         
         console.log('Beetle disposed successfully');
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,345 @@
+import * as THREE from 'three';
+
+// Leg segment lengths (m)
+const FEMUR_LENGTH = 0.2;
+const TIBIA_LENGTH = 0.24;
+
+// Where each pair of legs joins the body and where its foot rests, for the
+// right-hand leg in the beetle's frame (+Z is forward, origin at the body centre)
+const LEG_LAYOUT = [
+    { hip: [0.1, -0.02, 0.18], foot: [0.32, -0.18, 0.36] }, // Front
+    { hip: [0.12, -0.03, 0.05], foot: [0.36, -0.18, 0.04] }, // Middle
+    { hip: [0.11, -0.03, -0.08], foot: [0.32, -0.18, -0.3] } // Hind
+];
+const HIND_PAIR = 2;
+
+// How far the body travels while one tripod of legs swings, and how high feet lift (m)
+const STEP_DISTANCE = 0.12;
+const STEP_HEIGHT = 0.05;
+
+// Faster than this many half-steps per second the strides lengthen instead,
+// and feet land no further than MAX_STEP_REACH ahead of their rest spots (m)
+const MAX_STEP_RATE = 10;
+const MAX_STEP_REACH = 0.15;
+
+// Turning on the spot moves the feet as if walking this far per radian (m)
+const TURN_STEP_RADIUS = 0.3;
+
+// Half-steps per second taken to bring the feet back under the body after stopping
+const SETTLE_RATE = 4;
+
+// How far above and below the body centre feet look for ground, enough for steep slopes (m)
+const GROUND_SEARCH = 0.6;
+
+// Feet this far from where they belong are put back at once, e.g. after a teleport (m)
+const SNAP_DISTANCE = 0.6;
+
+// Pushing pose: the body turns its rear to the ball and tips head down
+const PUSH_PITCH = 0.5; // rad
+const POSE_BLEND_RATE = 4; // Full pose changes per second
+
+/**
+ * BeetleModel - Procedurally built dung beetle with walking legs
+ * Six legs walk in a tripod gait with IK feet on the ground, and brace on the ball when pushing.
+ */
+export class BeetleModel {
+    /**
+     * @param {PhysicsWorld} physicsWorld - Physics world used to find the ground under the feet
+     * @param {Object} [options] - Model options
+     * @param {number} [options.rideHeight=0.18] - Height of the body centre above the ground (m)
+     */
+    constructor(physicsWorld, options = {}) {
+        this.physicsWorld = physicsWorld;
+        this.rideHeight = options.rideHeight !== undefined ? options.rideHeight : 0.18;
+
+        // The root follows the physics body; the pose group tilts and turns within it
+        this.root = new THREE.Group();
+        this.pose = new THREE.Group();
+        this.pose.rotation.order = 'YXZ';
+        this.root.add(this.pose);
+
+        this._shellMaterial = new THREE.MeshStandardMaterial({ color: 0x1E140C, roughness: 0.35, metalness: 0.4 });
+        this._legMaterial = new THREE.MeshStandardMaterial({ color: 0x140D08, roughness: 0.7, metalness: 0.2 });
+        this._geometries = [];
+        this._buildBody();
+        this.legs = [];
+        this._buildLegs();
+
+        // Gait state
+        this._phase = 0; // Tripod 0 swings in the first half of each cycle, tripod 1 in the second
+        this._pushBlend = 0;
+        this._stepDistance = STEP_DISTANCE; // Grows with speed past MAX_STEP_RATE
+        this._lastPosition = new THREE.Vector3();
+        this._lastYaw = 0;
+        this._needsSnap = true;
+
+        this._tmpVector = new THREE.Vector3();
+        this._moveDirection = new THREE.Vector3();
+        this._euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    }
+
+    /**
+     * Pose the body and legs for the root's current transform
+     * Call after the root has been moved for the frame.
+     * @param {Object} state - What the beetle is doing
+     * @param {boolean} [state.pushing=false] - Whether the beetle is against the ball
+     * @param {THREE.Vector3} [state.ballCenter] - Centre of the ball being pushed
+     * @param {number} [state.ballRadius] - Radius of the ball being pushed
+     * @param {number} deltaTime - Seconds since the last update
+     */
+    update(state, deltaTime) {
+        // Ease in and out of the pushing stance
+        const goal = state.pushing ? 1 : 0;
+        const blendStep = POSE_BLEND_RATE * deltaTime;
+        this._pushBlend += THREE.MathUtils.clamp(goal - this._pushBlend, -blendStep, blendStep);
+        const blend = THREE.MathUtils.smoothstep(this._pushBlend, 0, 1);
+        this.pose.rotation.set(PUSH_PITCH * blend, Math.PI * blend, 0);
+        this.root.updateMatrixWorld(true);
+
+        // Ground covered since the last frame drives the gait, so the legs keep pace with the body
+        const move = this._tmpVector.subVectors(this.root.position, this._lastPosition).setY(0);
+        const yaw = this._euler.setFromQuaternion(this.root.quaternion, 'YXZ').y;
+        const turn = Math.abs(Math.atan2(Math.sin(yaw - this._lastYaw), Math.cos(yaw - this._lastYaw)));
+        const travel = move.length() + turn * TURN_STEP_RADIUS;
+        this._moveDirection.copy(move).normalize();
+        this._lastPosition.copy(this.root.position);
+        this._lastYaw = yaw;
+
+        this._stepDistance = STEP_DISTANCE;
+        if (this._needsSnap || travel > SNAP_DISTANCE) {
+            this._snapFeet();
+        } else if (travel > 1e-5) {
+            if (deltaTime > 0) {
+                this._stepDistance = Math.max(STEP_DISTANCE, travel / deltaTime / MAX_STEP_RATE);
+            }
+            this._phase += travel / (2 * this._stepDistance);
+        } else if (this._isStepUnfinished()) {
+            // Finish the step under way, one half-cycle at most per call
+            const half = Math.floor(this._phase * 2) + 1;
+            this._phase = Math.min(this._phase + SETTLE_RATE * deltaTime / 2, half / 2);
+        }
+
+        this._updateFeet(state, blend);
+        this.legs.forEach(leg => this._solveLeg(leg));
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this.root.parent) {
+            this.root.parent.remove(this.root);
+        }
+        this._geometries.forEach(geometry => geometry.dispose());
+        this._shellMaterial.dispose();
+        this._legMaterial.dispose();
+    }
+
+    /**
+     * Build the head, pronotum, elytra and abdomen
+     * @private
+     */
+    _buildBody() {
+        const sphere = this._geometry(new THREE.SphereGeometry(1, 16, 12));
+        const parts = [
+            { scale: [0.19, 0.08, 0.26], position: [0, 0, -0.12] }, // Abdomen
+            { scale: [0.17, 0.085, 0.13], position: [0, 0.03, 0.15] }, // Pronotum
+            { scale: [0.13, 0.045, 0.09], position: [0, 0, 0.3] } // Head, flat like a shovel
+        ];
+        parts.forEach(part => {
+            const mesh = new THREE.Mesh(sphere, this._shellMaterial);
+            mesh.scale.fromArray(part.scale);
+            mesh.position.fromArray(part.position);
+            mesh.castShadow = true;
+            this.pose.add(mesh);
+        });
+
+        // Elytra: two half shells meeting along the back
+        [1, -1].forEach(side => {
+            const half = this._geometry(new THREE.SphereGeometry(1, 12, 12, side > 0 ? Math.PI / 2 : -Math.PI / 2, Math.PI));
+            const elytron = new THREE.Mesh(half, this._shellMaterial);
+            elytron.scale.set(0.2, 0.11, 0.28);
+            elytron.position.set(side * 0.005, 0.03, -0.12);
+            elytron.castShadow = true;
+            this.pose.add(elytron);
+        });
+    }
+
+    /**
+     * Build six legs, each a hip that turns towards the foot, a femur and a tibia
+     * @private
+     */
+    _buildLegs() {
+        const femurGeometry = this._geometry(new THREE.CylinderGeometry(0.014, 0.018, FEMUR_LENGTH, 5));
+        femurGeometry.rotateX(Math.PI / 2).translate(0, 0, FEMUR_LENGTH / 2);
+        const tibiaGeometry = this._geometry(new THREE.CylinderGeometry(0.006, 0.014, TIBIA_LENGTH, 5));
+        tibiaGeometry.rotateX(Math.PI / 2).translate(0, 0, TIBIA_LENGTH / 2);
+
+        LEG_LAYOUT.forEach((layout, pair) => {
+            [1, -1].forEach(side => {
+                const hip = new THREE.Group();
+                hip.position.set(layout.hip[0] * side, layout.hip[1], layout.hip[2]);
+                this.pose.add(hip);
+
+                const femur = new THREE.Mesh(femurGeometry, this._legMaterial);
+                femur.castShadow = true;
+                hip.add(femur);
+
+                const knee = new THREE.Group();
+                knee.position.z = FEMUR_LENGTH;
+                femur.add(knee);
+
+                const tibia = new THREE.Mesh(tibiaGeometry, this._legMaterial);
+                tibia.castShadow = true;
+                knee.add(tibia);
+
+                this.legs.push({
+                    pair,
+                    // Left front, right middle and left hind step together, and the other three
+                    tripod: (pair + (side > 0 ? 1 : 0)) % 2,
+                    rest: new THREE.Vector3(layout.foot[0] * side, layout.foot[1], layout.foot[2]),
+                    hip,
+                    femur,
+                    knee,
+                    foot: new THREE.Vector3(), // World position
+                    swingFrom: new THREE.Vector3(),
+                    swinging: false,
+                    braced: new THREE.Vector3(), // Where a hind foot presses on the ball
+                    bracing: false
+                });
+            });
+        });
+    }
+
+    /**
+     * Keep track of a geometry so it is disposed with the model
+     * @private
+     */
+    _geometry(geometry) {
+        this._geometries.push(geometry);
+        return geometry;
+    }
+
+    /**
+     * Check whether the feet still have to step back under the body
+     * @private
+     */
+    _isStepUnfinished() {
+        if ((this._phase * 2) % 1 > 1e-6) return true;
+        return this.legs.some(leg => {
+            const rest = this._restPosition(leg, this._tmpVector);
+            return Math.hypot(leg.foot.x - rest.x, leg.foot.z - rest.z) > STEP_DISTANCE / 2;
+        });
+    }
+
+    /**
+     * Move swinging feet along their arcs and plant the ones that landed
+     * @private
+     */
+    _updateFeet(state, blend) {
+        const swingingTripod = Math.floor(this._phase * 2) % 2;
+        const progress = (this._phase * 2) % 1;
+        const target = new THREE.Vector3();
+
+        this.legs.forEach(leg => {
+            if (leg.tripod === swingingTripod) {
+                if (!leg.swinging) {
+                    leg.swingFrom.copy(leg.foot);
+                    leg.swinging = true;
+                }
+                this._stepTarget(leg, target);
+                leg.foot.lerpVectors(leg.swingFrom, target, progress);
+                leg.foot.y += Math.sin(Math.PI * progress) * STEP_HEIGHT;
+            } else if (leg.swinging) {
+                this._stepTarget(leg, leg.foot);
+                leg.swinging = false;
+            }
+        });
+
+        // In the pushing stance the hind legs leave the ground and brace against the ball
+        this.legs.forEach(leg => {
+            leg.bracing = leg.pair === HIND_PAIR && blend > 0 && !!state.ballCenter;
+            if (!leg.bracing) return;
+            const hip = leg.hip.getWorldPosition(target);
+            const onBall = hip.sub(state.ballCenter).setLength(state.ballRadius).add(state.ballCenter);
+            leg.braced.lerpVectors(leg.foot, onBall, blend);
+        });
+    }
+
+    /**
+     * Find where a foot should land: ahead of its rest spot in the direction of travel
+     * @private
+     */
+    _stepTarget(leg, target) {
+        this._restPosition(leg, target).addScaledVector(this._moveDirection, Math.min(this._stepDistance, MAX_STEP_REACH));
+        return this._toGround(target);
+    }
+
+    /**
+     * Get a foot's rest spot in world space
+     * @private
+     */
+    _restPosition(leg, target) {
+        return this.pose.localToWorld(target.copy(leg.rest));
+    }
+
+    /**
+     * Drop a point onto the ground or obstacle below it
+     * @private
+     */
+    _toGround(point) {
+        const from = new THREE.Vector3(point.x, this.root.position.y + GROUND_SEARCH, point.z);
+        const to = new THREE.Vector3(point.x, this.root.position.y - GROUND_SEARCH, point.z);
+        const hit = this.physicsWorld.raycast(from, to, { mask: ['terrain', 'obstacle'] });
+        point.y = hit ? hit.point.y : this.root.position.y - this.rideHeight;
+        return point;
+    }
+
+    /**
+     * Put every foot straight down at its rest spot
+     * @private
+     */
+    _snapFeet() {
+        this._needsSnap = false;
+        this._phase = Math.round(this._phase * 2) / 2;
+        this.legs.forEach(leg => {
+            this._toGround(this._restPosition(leg, leg.foot));
+            leg.swinging = false;
+        });
+    }
+
+    /**
+     * Bend a leg so its foot reaches its target, knee up
+     * @private
+     */
+    _solveLeg(leg) {
+        const goal = leg.bracing ? leg.braced : leg.foot;
+
+        // Foot relative to the hip, in the body's frame
+        const offset = this.pose.worldToLocal(this._tmpVector.copy(goal)).sub(leg.hip.position);
+        leg.hip.rotation.y = Math.atan2(offset.x, offset.z);
+
+        // Two-bone IK in the vertical plane through hip and foot
+        const reach = Math.hypot(offset.x, offset.z);
+        const distance = THREE.MathUtils.clamp(
+            Math.hypot(reach, offset.y),
+            Math.abs(FEMUR_LENGTH - TIBIA_LENGTH) + 1e-4,
+            FEMUR_LENGTH + TIBIA_LENGTH - 1e-4
+        );
+        const toFoot = Math.atan2(offset.y, reach);
+        const hipBend = Math.acos(THREE.MathUtils.clamp(
+            (FEMUR_LENGTH * FEMUR_LENGTH + distance * distance - TIBIA_LENGTH * TIBIA_LENGTH) / (2 * FEMUR_LENGTH * distance),
+            -1,
+            1
+        ));
+        const kneeAngle = Math.acos(THREE.MathUtils.clamp(
+            (FEMUR_LENGTH * FEMUR_LENGTH + TIBIA_LENGTH * TIBIA_LENGTH - distance * distance) / (2 * FEMUR_LENGTH * TIBIA_LENGTH),
+            -1,
+            1
+        ));
+
+        // Rotating about X by a positive angle tips +Z down
+        leg.femur.rotation.x = -(toFoot + hipBend);
+        leg.knee.rotation.x = Math.PI - kneeAngle;
+    }
+}
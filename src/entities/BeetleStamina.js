@@ -0,0 +1,107 @@
+// Stamina spent per second pushing per kg of ball, extra per radian of slope, climbing per radian and sprinting
+const PUSH_COST_PER_KG = 2;
+const PUSH_SLOPE_FACTOR = 3;
+const CLIMB_COST = 30;
+const SPRINT_COST = 15;
+
+// Stamina regained per second standing still and walking on the flat
+const REST_RECOVERY = 20;
+const WALK_RECOVERY = 8;
+
+// Slopes gentler than this count as flat ground (rad)
+const FLAT_SLOPE = Math.PI / 36;
+
+// Fraction of its stamina an exhausted beetle must get back to recover
+const EXHAUSTION_RECOVERY = 0.3;
+
+// Speed and strength left when exhausted, and speed when sprinting
+const EXHAUSTED_SPEED_FACTOR = 0.5;
+const EXHAUSTED_STRENGTH_FACTOR = 0.5;
+const SPRINT_SPEED_FACTOR = 1.6;
+
+/**
+ * BeetleStamina - How much effort the beetle has left in it
+ */
+export class BeetleStamina {
+    /**
+     * @param {number} capacity - Stamina the beetle starts with
+     */
+    constructor(capacity) {
+        this.current = capacity;
+        this.exhausted = false;
+    }
+
+    /**
+     * Spend or regain stamina for one step of effort
+     * @param {number} deltaTime - Step length in seconds
+     * @param {number} capacity - Most stamina the beetle can hold, from its stats
+     * @param {Object} effort - What the beetle did this step
+     * @param {boolean} effort.moving - Whether the beetle was walking
+     * @param {boolean} effort.sprinting - Whether it was sprinting
+     * @param {number} effort.climb - Slope walked up, weighted by how straight up it was going (rad)
+     * @param {number} effort.slope - Slope of the ground under the beetle (rad)
+     * @param {number} effort.ballMass - Mass of the ball pushed or dragged, 0 if none (kg)
+     */
+    update(deltaTime, capacity, effort) {
+        let rate = 0;
+        if (effort.sprinting && effort.moving) {
+            rate -= SPRINT_COST;
+        }
+        if (effort.climb > 0) {
+            rate -= effort.climb * CLIMB_COST;
+        }
+        if (effort.ballMass > 0) {
+            rate -= effort.ballMass * PUSH_COST_PER_KG * (1 + effort.slope * PUSH_SLOPE_FACTOR);
+        }
+
+        if (rate === 0) {
+            if (!effort.moving) {
+                rate = REST_RECOVERY;
+            } else if (effort.slope <= FLAT_SLOPE) {
+                rate = WALK_RECOVERY;
+            }
+        }
+
+        this.current = Math.min(Math.max(this.current + rate * deltaTime, 0), capacity);
+        if (this.current === 0) {
+            this.exhausted = true;
+        } else if (this.exhausted && this.current >= capacity * EXHAUSTION_RECOVERY) {
+            this.exhausted = false;
+        }
+    }
+
+    /**
+     * Get how fast the beetle can move compared with its speed stat
+     * @param {boolean} sprinting - Whether the player wants to sprint
+     * @returns {number} Speed multiplier
+     */
+    getSpeedFactor(sprinting) {
+        if (this.exhausted) return EXHAUSTED_SPEED_FACTOR;
+        return sprinting && this.current > 0 ? SPRINT_SPEED_FACTOR : 1;
+    }
+
+    /**
+     * Get how hard the beetle can push compared with its strength stat
+     * @returns {number} Strength multiplier
+     */
+    getStrengthFactor() {
+        return this.exhausted ? EXHAUSTED_STRENGTH_FACTOR : 1;
+    }
+
+    /**
+     * Capture the stamina state
+     * @returns {Object} { current, exhausted }
+     */
+    getState() {
+        return { current: this.current, exhausted: this.exhausted };
+    }
+
+    /**
+     * Restore a state captured by getState()
+     * @param {Object} state - State to restore
+     */
+    setState(state) {
+        this.current = state.current;
+        this.exhausted = state.exhausted;
+    }
+}
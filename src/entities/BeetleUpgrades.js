@@ -0,0 +1,94 @@
+/**
+ * BeetleUpgrades - What the beetle can trade ball volume for
+ * Each level raises a stat by amount and costs costGrowth times the last; requires gates the tree.
+ */
+
+export const BEETLE_UPGRADES = {
+    legs: {
+        name: 'Strong legs',
+        stat: 'speed', // m/s
+        amount: 0.5,
+        maxLevel: 5,
+        baseCost: 0.2, // m³ of ball volume for the first level
+        costGrowth: 1.5,
+        requires: {}
+    },
+    shoulders: {
+        name: 'Broad shoulders',
+        stat: 'strength', // N of push and grip on the ball
+        amount: 3,
+        maxLevel: 5,
+        baseCost: 0.3,
+        costGrowth: 1.6,
+        requires: {}
+    },
+    claws: {
+        name: 'Hooked claws',
+        stat: 'maxSlope', // Radians of slope the beetle can still walk up
+        amount: Math.PI / 36,
+        maxLevel: 4,
+        baseCost: 0.25,
+        costGrowth: 1.6,
+        requires: { legs: 1 }
+    },
+    lungs: {
+        name: 'Deep breaths',
+        stat: 'stamina', // Stamina the beetle can store
+        amount: 20,
+        maxLevel: 5,
+        baseCost: 0.2,
+        costGrowth: 1.5,
+        requires: { legs: 2 }
+    },
+    shell: {
+        name: 'Packing shell',
+        stat: 'damageResistance', // Fraction of impact damage the ball is spared
+        amount: 0.1,
+        maxLevel: 4,
+        baseCost: 0.3,
+        costGrowth: 1.7,
+        requires: { shoulders: 2 }
+    }
+};
+
+/**
+ * Look up an upgrade by id
+ * @param {string} id - Upgrade id from BEETLE_UPGRADES
+ * @returns {Object|null} The upgrade, or null if the id is unknown
+ */
+export function getBeetleUpgrade(id) {
+    if (!(id in BEETLE_UPGRADES)) {
+        console.warn(`Unknown beetle upgrade "${id}"`);
+        return null;
+    }
+    return BEETLE_UPGRADES[id];
+}
+
+/**
+ * Dung it takes to raise an upgrade from a level to the next
+ * @param {string} id - Upgrade id from BEETLE_UPGRADES
+ * @param {number} level - Level the upgrade is at now
+ * @returns {number} Cost in m³ of ball volume, or Infinity past the last level
+ */
+export function getUpgradeCost(id, level) {
+    const upgrade = getBeetleUpgrade(id);
+    if (!upgrade || level >= upgrade.maxLevel) return Infinity;
+    return upgrade.baseCost * Math.pow(upgrade.costGrowth, level);
+}
+
+/**
+ * Work out stats with upgrades on top of base stats
+ * @param {Object} baseStats - Stats without any upgrades
+ * @param {Object<string, number>} levels - Upgrade id -> level
+ * @returns {Object} A new stats object
+ */
+export function applyBeetleUpgrades(baseStats, levels) {
+    const stats = { ...baseStats };
+    Object.keys(levels).forEach(id => {
+        const upgrade = getBeetleUpgrade(id);
+        if (upgrade) {
+            stats[upgrade.stat] += upgrade.amount * levels[id];
+        }
+    });
+    return stats;
+}
@@ -1,35 +1,70 @@
 import * as THREE from 'three';
+import { DEFAULT_DUNG_TYPE, blendDungColor, blendDungProperty } from './DungTypes';
+import { DungBallSurface } from './DungBallSurface';
+
+// Volume lost per impact: fractionPerSpeed per m/s of impact speed past minSpeed, up to maxFraction
+export const IMPACT_DAMAGE_PROFILES = {
+    // Knocks against obstacles
+    blunt: { minSpeed: 4, fractionPerSpeed: 0.02, maxFraction: 0.2 },
+    // Landing on the ground after a drop
+    fall: { minSpeed: 6, fractionPerSpeed: 0.03, maxFraction: 0.3 },
+    // Thorns and rocks tear chunks off at much gentler speeds
+    sharp: { minSpeed: 1.5, fractionPerSpeed: 0.05, maxFraction: 0.35 }
+};
+
+// Physics materials that count as sharp whatever they are attached to
+const SHARP_MATERIALS = ['rock', 'thorn'];
+
+// How far below the ball something may be and still count as what it rests on (m)
+const SUPPORT_TOLERANCE = 0.05;
 
 /**
  * DungBall - Represents the ball of dung that the beetle pushes
+ * Its mass, grip, stickiness, toughness and colour mix the dung types it has rolled up.
  */
 export class DungBall {
-    constructor(scene, physicsWorld) {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the ball mesh to
+     * @param {PhysicsWorld} physicsWorld - Physics world to simulate the ball in
+     * @param {THREE.Vector3} [position] - Ground position to place the ball on
+     */
+    constructor(scene, physicsWorld, position = new THREE.Vector3(0, 0, 0)) {
         this.scene = scene;
         this.physicsWorld = physicsWorld;
+        this.startPosition = position.clone();
         
         // Ball properties
         this.radius = 0.5;
-        this.growthRate = 0.005; // Slower growth rate
         this.maxRadius = 3;
         this.currentRadius = this.radius;
-        this.massScale = 2; // Mass increases with size
+        this.composition = { [DEFAULT_DUNG_TYPE]: sphereVolume(this.radius) }; // Dung type -> volume (m³)
+        this.body = null;
+        this.bodyId = null;
+        this.damageResistance = 0; // Fraction of impact damage the ball is spared (0-1)
+        this.onDamage = null; // Called with { volume, profile, composition, position, normal } when dung is knocked off
+        this._damagedBy = new Set(); // Bodies whose current contact has already done damage
+        this._unsubscribeContacts = null;
         
-        // Create visual representation
-        const geometry = new THREE.SphereGeometry(this.radius, 32, 32);
+        // Create visual representation; the lumpy, textured surface shows the ball turning
+        this.surface = new DungBallSurface(this.radius);
         const material = new THREE.MeshStandardMaterial({ 
             color: 0x4A2F1C,
+            map: this.surface.texture,
+            bumpMap: this.surface.texture,
+            bumpScale: 2,
             metalness: 0.1,
             roughness: 0.9,
             flatShading: true
         });
-        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh = new THREE.Mesh(this.surface.geometry, material);
+        this.mesh.add(this.surface.group);
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
         scene.add(this.mesh);
 
         // Initialize physics body
         this.initPhysics();
+        this._applyComposition();
     }
 
     /**
@@ -39,92 +74,334 @@ export class DungBall {
         if (!this.physicsWorld.Ammo) return;
 
         const Ammo = this.physicsWorld.Ammo;
+        const scratch = this.physicsWorld.scratch;
         
         // Create collision shape
         const shape = new Ammo.btSphereShape(this.radius);
         
         // Create motion state
-        const transform = new Ammo.btTransform();
-        transform.setIdentity();
-        transform.setOrigin(new Ammo.btVector3(0, this.radius, 0));
+        const transform = scratch.transform();
+        transform.setOrigin(scratch.vector3(
+            this.startPosition.x,
+            this.startPosition.y + this.radius,
+            this.startPosition.z
+        ));
         
         const motionState = new Ammo.btDefaultMotionState(transform);
         
         // Create rigid body
-        const mass = this.massScale;
-        const localInertia = new Ammo.btVector3(0, 0, 0);
+        const mass = this.getMass();
+        const localInertia = scratch.vector3(0, 0, 0);
         shape.calculateLocalInertia(mass, localInertia);
         
         const rbInfo = new Ammo.btRigidBodyConstructionInfo(mass, motionState, shape, localInertia);
         this.body = new Ammo.btRigidBody(rbInfo);
         
         // Set physics properties
-        this.body.setFriction(0.7); // Higher friction for better rolling
-        this.body.setRestitution(0.3);
-        this.body.setDamping(0.5, 0.5); // Less damping for better rolling
-        this.body.setAngularFactor(new Ammo.btVector3(1, 1, 1)); // Allow all rotations
+        this.body.setAngularFactor(scratch.vector3(1, 1, 1)); // Allow all rotations
+        
+        // Add to physics world, which now owns the body; it interpolates the mesh from it
+        this.bodyId = this.physicsWorld.addRigidBody(this.body, {
+            mesh: this.mesh,
+            owner: this,
+            layer: 'ball',
+            material: 'dung'
+        });
+        
+        // Reused vectors for applying forces
+        this._forceVector = new Ammo.btVector3(0, 0, 0);
+        this._relPosVector = new Ammo.btVector3(0, 0, 0);
         
-        // Add to physics world
-        this.physicsWorld.addRigidBody(this.body);
+        // Hard knocks break bits off
+        this._unsubscribeContacts = this.onContact(event => this._handleImpact(event));
         
         // Clean up
         Ammo.destroy(rbInfo);
     }
 
     /**
-     * Update the ball's state
+     * Grow the ball by rolling up more dung
+     * @param {number} volume - Volume of dung to add (m³)
+     * @param {string} [type] - Dung type from DungTypes
+     * @returns {number} Volume actually added, less once the ball reaches its maximum size
      */
-    update() {
-        if (!this.body) return;
+    addVolume(volume, type = DEFAULT_DUNG_TYPE) {
+        if (!(volume > 0)) return 0;
+
+        const before = this.getVolume();
+        const added = Math.min(before + volume, sphereVolume(this.maxRadius)) - before;
+        if (added <= 0) return 0;
+        
+        this.composition[type] = (this.composition[type] || 0) + added;
+        this._applyComposition();
+        this.surface.addInclusions(type, added);
+        return added;
+    }
+
+    /**
+     * Knock dung off the ball
+     * @param {number} volume - Volume of dung to lose (m³)
+     * @returns {number} Volume actually lost; the ball never shrinks below its starting size
+     */
+    damage(volume) {
+        if (!(volume > 0)) return 0;
 
-        // Gradually grow the ball
-        if (this.currentRadius < this.maxRadius) {
-            this.currentRadius += this.growthRate;
-            this.mesh.scale.set(
-                this.currentRadius / this.radius,
-                this.currentRadius / this.radius,
-                this.currentRadius / this.radius
-            );
-            
-            // Update physics shape size and mass
-            const shape = this.body.getCollisionShape();
-            shape.setRadius(this.currentRadius);
-            
-            // Update mass based on volume (r³)
-            const mass = this.massScale * Math.pow(this.currentRadius / this.radius, 3);
-            this.body.setMassProps(mass, new this.physicsWorld.Ammo.btVector3(0, 0, 0));
+        const before = this.getVolume();
+        const after = Math.max(before - volume, sphereVolume(this.radius));
+        if (after >= before) return 0;
+        
+        // Knocks take off the outside, which is assumed to be as mixed as the rest
+        const remaining = after / before;
+        Object.keys(this.composition).forEach(type => {
+            this.composition[type] *= remaining;
+        });
+        this._applyComposition();
+        this.surface.removeInclusions(1 - remaining);
+        return before - after;
+    }
+
+    /**
+     * Work out the damage done by a contact and apply it, at most once per contact
+     * @param {Object} event - PhysicsWorld contact event for the ball
+     * @private
+     */
+    _handleImpact(event) {
+        if (event.type === 'end') {
+            this._damagedBy.delete(event.otherId);
+            return;
         }
+        if (this._damagedBy.has(event.otherId) || event.impulse <= 0) return;
+        
+        const profileName = this._getDamageProfile(event);
+        if (!profileName) return;
+        
+        const profile = IMPACT_DAMAGE_PROFILES[profileName];
+        const impactSpeed = event.impulse / this.getMass();
+        if (impactSpeed <= profile.minSpeed) return;
+        
+        this._damagedBy.add(event.otherId);
+        const fraction = Math.min((impactSpeed - profile.minSpeed) * profile.fractionPerSpeed, profile.maxFraction);
+        const composition = this.getComposition();
+        const lost = this.damage(this.getVolume() * fraction * (1 - this.damageResistance) / this.getDurability());
+        if (lost <= 0 || !this.onDamage) return;
+        
+        // Chunks break off where the ball took most of the impulse
+        const point = event.points.reduce((best, candidate) => (candidate.impulse > best.impulse ? candidate : best));
+        this.onDamage({
+            volume: lost,
+            profile: profileName,
+            composition,
+            position: point.position.clone(),
+            normal: point.normal.clone()
+        });
+    }
 
-        // Update visual position from physics
-        const transform = this.body.getWorldTransform();
-        const pos = transform.getOrigin();
-        this.mesh.position.set(pos.x(), pos.y(), pos.z());
+    /**
+     * Pick the damage profile for whatever the ball hit, or its owner's damageProfile
+     * @param {Object} event - PhysicsWorld contact event for the ball
+     * @returns {string|null} Profile name, or null if the contact cannot damage the ball
+     * @private
+     */
+    _getDamageProfile(event) {
+        if (event.otherOwner && event.otherOwner.damageProfile in IMPACT_DAMAGE_PROFILES) {
+            return event.otherOwner.damageProfile;
+        }
+        if (event.otherLayer !== 'terrain' && event.otherLayer !== 'obstacle') return null;
+        if (SHARP_MATERIALS.includes(event.otherMaterial)) return 'sharp';
+        return event.otherLayer === 'terrain' ? 'fall' : 'blunt';
     }
 
     /**
-     * Apply damage to the ball (reduces its size)
-     * @param {number} amount - Amount of damage to apply
+     * Bring size, mass, surface and colour in line with the composition
+     * @param {boolean} [moveWithSupport=true] - Keep a resting ball on what it rests on as the radius changes
+     * @private
      */
-    damage(amount) {
-        this.currentRadius = Math.max(
-            this.radius,
-            this.currentRadius - amount
-        );
-        this.mesh.scale.set(
-            this.currentRadius / this.radius,
-            this.currentRadius / this.radius,
-            this.currentRadius / this.radius
-        );
+    _applyComposition(moveWithSupport = true) {
+        const volume = Object.values(this.composition).reduce((sum, part) => sum + part, 0);
+        const previousRadius = this.currentRadius;
+        this.currentRadius = Math.cbrt(volume * 3 / (4 * Math.PI));
+        this._applyRadius(moveWithSupport ? previousRadius : this.currentRadius);
         
-        // Update physics shape size and mass
+        blendDungColor(this.composition, this.mesh.material.color);
         if (this.body) {
-            const shape = this.body.getCollisionShape();
-            shape.setRadius(this.currentRadius);
-            
-            // Update mass based on volume (r³)
-            const mass = this.massScale * Math.pow(this.currentRadius / this.radius, 3);
-            this.body.setMassProps(mass, new this.physicsWorld.Ammo.btVector3(0, 0, 0));
+            this.body.setFriction(blendDungProperty(this.composition, 'friction'));
+            this.body.setRollingFriction(blendDungProperty(this.composition, 'rollingFriction'));
+        }
+    }
+
+    /**
+     * Scale the mesh and the physics body to the current radius
+     * A ball resting on something moves along the support's normal by the change in radius.
+     * @param {number} [previousRadius] - Radius the body was sized for until now
+     * @private
+     */
+    _applyRadius(previousRadius = this.currentRadius) {
+        const scale = this.currentRadius / this.radius;
+        this.mesh.scale.set(scale, scale, scale);
+        this.surface.setScale(scale);
+        if (!this.body) return;
+        
+        // Find what the ball rests on before its shape changes
+        const support = this._findSupport(previousRadius);
+        
+        // Update physics shape size and mass
+        const scratch = this.physicsWorld.scratch;
+        const shape = this.body.getCollisionShape();
+        shape.setLocalScaling(scratch.vector3(scale, scale, scale));
+        
+        // Update mass from the dung the ball is made of
+        const mass = this.getMass();
+        const inertia = scratch.vector3(0, 0, 0);
+        shape.calculateLocalInertia(mass, inertia);
+        this.body.setMassProps(mass, inertia);
+        this.body.updateInertiaTensor();
+        
+        const change = this.currentRadius - previousRadius;
+        if (support && change !== 0) {
+            const state = this.physicsWorld.getBodyState(this.bodyId);
+            state.position[0] += support.normal.x * change;
+            state.position[1] += support.normal.y * change;
+            state.position[2] += support.normal.z * change;
+            this.physicsWorld.setBodyState(this.bodyId, state);
+        }
+        this.physicsWorld.updateBodyShape(this.bodyId);
+    }
+
+    /**
+     * Find the ground or obstacle directly below the ball, if it is resting on one
+     * @param {number} radius - Radius of the ball's current shape
+     * @returns {Object|null} Raycast hit on the support, or null if the ball is in the air
+     * @private
+     */
+    _findSupport(radius) {
+        const center = this.getPosition();
+        const below = center.clone();
+        below.y -= radius + SUPPORT_TOLERANCE;
+        return this.physicsWorld.raycast(center, below, { mask: ['terrain', 'obstacle'] });
+    }
+
+    /**
+     * Apply a force to the ball, optionally at a world-space point on its surface
+     * @param {THREE.Vector3} force - Force in newtons
+     * @param {THREE.Vector3} [point] - World position the force acts at; defaults to the centre
+     */
+    applyForce(force, point) {
+        if (!force || !(force instanceof THREE.Vector3)) {
+            console.warn('Invalid force applied to ball');
+            return;
         }
+        if (!this.body) return;
+        
+        this._forceVector.setValue(force.x, force.y, force.z);
+        
+        if (point) {
+            const center = this.getPosition();
+            this._relPosVector.setValue(point.x - center.x, point.y - center.y, point.z - center.z);
+        } else {
+            this._relPosVector.setValue(0, 0, 0);
+        }
+        
+        this.body.activate();
+        this.body.applyForce(this._forceVector, this._relPosVector);
+    }
+
+    /**
+     * Subscribe to contacts between the ball and other bodies
+     * @param {Function} callback - Receives PhysicsWorld contact events for the ball
+     * @returns {Function} Call to unsubscribe
+     */
+    onContact(callback) {
+        if (!this.body) return () => {};
+        return this.physicsWorld.onContact(this.bodyId, callback);
+    }
+
+    /**
+     * Get the ball's centre from the physics body
+     * @param {THREE.Vector3} [target] - Vector to write into
+     * @returns {THREE.Vector3} World position of the ball's centre
+     */
+    getPosition(target = new THREE.Vector3()) {
+        if (!this.body) return target.copy(this.mesh.position);
+        
+        const origin = this.body.getWorldTransform().getOrigin();
+        return target.set(origin.x(), origin.y(), origin.z());
+    }
+
+    /**
+     * Get the ball's linear velocity from the physics body
+     * @param {THREE.Vector3} [target] - Vector to write into
+     * @returns {THREE.Vector3} Linear velocity in m/s
+     */
+    getVelocity(target = new THREE.Vector3()) {
+        if (!this.body) return target.set(0, 0, 0);
+        
+        const velocity = this.body.getLinearVelocity();
+        return target.set(velocity.x(), velocity.y(), velocity.z());
+    }
+
+    /**
+     * Get the ball's current mass
+     * @returns {number} Mass in kg
+     */
+    getMass() {
+        return this.getVolume() * blendDungProperty(this.composition, 'density');
+    }
+
+    /**
+     * Get what the ball is made of
+     * @returns {Object<string, number>} Dung type -> fraction of the ball's volume
+     */
+    getComposition() {
+        const volume = this.getVolume();
+        const fractions = {};
+        Object.keys(this.composition).forEach(type => {
+            fractions[type] = this.composition[type] / volume;
+        });
+        return fractions;
+    }
+
+    /**
+     * Get the fraction of newly picked up dung that stays on the ball
+     * @returns {number} Stickiness (0-1)
+     */
+    getStickiness() {
+        return blendDungProperty(this.composition, 'stickiness');
+    }
+
+    /**
+     * Get how well the ball holds together; impact damage is divided by it
+     * @returns {number} Durability, 1 for plain herbivore dung
+     */
+    getDurability() {
+        return blendDungProperty(this.composition, 'durability');
+    }
+
+    /**
+     * Get the ball's current volume
+     * @returns {number} Volume in m³
+     */
+    getVolume() {
+        return sphereVolume(this.currentRadius);
+    }
+
+    /**
+     * Get the volume rolled up on top of the starting ball, which can be spent
+     * @returns {number} Volume in m³
+     */
+    getSpareVolume() {
+        return Math.max(this.getVolume() - sphereVolume(this.radius), 0);
+    }
+
+    /**
+     * Give up some of the ball's rolled-up volume, all or nothing
+     * @param {number} volume - Volume to spend (m³)
+     * @returns {boolean} True if the ball had enough spare volume and was shrunk
+     */
+    spendVolume(volume) {
+        if (!(volume >= 0) || volume > this.getSpareVolume()) return false;
+        
+        this.damage(volume);
+        return true;
     }
 
     /**
@@ -135,14 +412,56 @@ export class DungBall {
         return this.currentRadius;
     }
 
+    /**
+     * Capture the ball's gameplay state; its body is part of the physics snapshot
+     * Size and mass follow from the composition, so they are not stored separately.
+     * @returns {Object} { composition, damagedBy }
+     */
+    getState() {
+        return {
+            composition: { ...this.composition },
+            damagedBy: Array.from(this._damagedBy)
+        };
+    }
+
+    /**
+     * Restore a state captured by getState()
+     * @param {Object} state - State to restore
+     */
+    setState(state) {
+        this.composition = { ...state.composition };
+        this._damagedBy = new Set(state.damagedBy);
+        
+        // The restored body is already placed for the restored size
+        this._applyComposition(false);
+    }
+
     /**
      * Clean up resources
      */
     dispose() {
+        if (this._unsubscribeContacts) {
+            this._unsubscribeContacts();
+            this._unsubscribeContacts = null;
+        }
         if (this.body) {
-            this.physicsWorld.removeRigidBody(this.body);
-            this.physicsWorld.Ammo.destroy(this.body);
+            this.physicsWorld.removeRigidBody(this.bodyId);
+            this.body = null;
+            this.bodyId = null;
+            this.physicsWorld.Ammo.destroy(this._forceVector);
+            this.physicsWorld.Ammo.destroy(this._relPosVector);
         }
         this.scene.remove(this.mesh);
+        this.surface.dispose();
+        this.mesh.material.dispose();
     }
-} 
\ No newline at end of file
+}
+
+/**
+ * Volume of a sphere
+ * @param {number} radius - Sphere radius
+ * @returns {number} Volume
+ */
+function sphereVolume(radius) {
+    return (4 / 3) * Math.PI * Math.pow(radius, 3);
+}
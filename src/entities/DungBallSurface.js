@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import { getDungType } from './DungTypes';
+
+// Height of the lumps on the ball's surface, as a fraction of its radius
+const LUMP_HEIGHT = 0.08;
+
+// Size of the generated surface texture (equirectangular, so twice as wide as high)
+const TEXTURE_WIDTH = 128;
+const TEXTURE_HEIGHT = 64;
+
+// Volume of dung that brings one twig or grass bit along with it (m³)
+const INCLUSION_VOLUME = 0.05;
+const MAX_INCLUSIONS_PER_PICKUP = 4;
+const MAX_INCLUSIONS = 80; // The oldest are buried under new dung past this many
+
+// How each kind of inclusion looks
+const INCLUSION_STYLES = {
+    twig: { color: 0x6B4F2A, length: 0.25, width: 0.012 },
+    grass: { color: 0x8A9A3C, length: 0.16, width: 0.03 }
+};
+
+/**
+ * DungBallSurface - The lumpy, textured look of a dung ball, with twigs and grass stuck to it
+ * Visual only; the physics body stays a perfect sphere.
+ */
+export class DungBallSurface {
+    /**
+     * @param {number} radius - Radius of the unscaled ball mesh
+     */
+    constructor(radius) {
+        this.radius = radius;
+        this.geometry = this._createGeometry();
+        this.texture = this._createTexture();
+
+        // Inclusions ride along as children of the ball mesh
+        this.group = new THREE.Group();
+        this._scale = 1;
+        this._inclusionGeometries = {};
+        this._inclusionMaterials = {};
+        Object.keys(INCLUSION_STYLES).forEach(kind => {
+            const style = INCLUSION_STYLES[kind];
+            this._inclusionGeometries[kind] = kind === 'twig'
+                ? new THREE.CylinderGeometry(style.width * 0.7, style.width, style.length, 4)
+                : new THREE.PlaneGeometry(style.width, style.length);
+            this._inclusionMaterials[kind] = new THREE.MeshStandardMaterial({
+                color: style.color,
+                roughness: 1,
+                side: THREE.DoubleSide
+            });
+        });
+    }
+
+    /**
+     * Stick the twigs or grass that came with a pickup onto the ball
+     * @param {string} type - Dung type that was picked up
+     * @param {number} volume - Volume that stuck to the ball (m³)
+     */
+    addInclusions(type, volume) {
+        const kind = getDungType(type).inclusion;
+        if (!kind) return;
+
+        const count = Math.min(Math.round(volume / INCLUSION_VOLUME), MAX_INCLUSIONS_PER_PICKUP);
+        for (let i = 0; i < count; i++) {
+            this.group.add(this._createInclusion(kind));
+        }
+
+        while (this.group.children.length > MAX_INCLUSIONS) {
+            this.group.remove(this.group.children[0]);
+        }
+    }
+
+    /**
+     * Knock some of the inclusions off along with lost dung
+     * @param {number} fraction - Fraction of the ball's volume that was lost (0-1)
+     */
+    removeInclusions(fraction) {
+        const count = Math.round(this.group.children.length * fraction);
+        for (let i = 0; i < count; i++) {
+            const index = Math.floor(Math.random() * this.group.children.length);
+            this.group.remove(this.group.children[index]);
+        }
+    }
+
+    /**
+     * Keep inclusions their own size while the ball mesh is scaled
+     * @param {number} scale - Scale of the ball mesh
+     */
+    setScale(scale) {
+        this._scale = scale;
+        this.group.children.forEach(inclusion => inclusion.scale.setScalar(1 / scale));
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.group.clear();
+        this.geometry.dispose();
+        this.texture.dispose();
+        Object.values(this._inclusionGeometries).forEach(geometry => geometry.dispose());
+        Object.values(this._inclusionMaterials).forEach(material => material.dispose());
+    }
+
+    /**
+     * Build a sphere with lumps pushed in and out along its normals
+     * @private
+     */
+    _createGeometry() {
+        const geometry = new THREE.SphereGeometry(this.radius, 32, 24);
+        const positions = geometry.attributes.position;
+        const normal = new THREE.Vector3();
+
+        for (let i = 0; i < positions.count; i++) {
+            normal.fromBufferAttribute(positions, i).normalize();
+            const offset = this.radius * LUMP_HEIGHT * lumpiness(normal.x, normal.y, normal.z);
+            positions.setXYZ(i, normal.x * (this.radius + offset), normal.y * (this.radius + offset), normal.z * (this.radius + offset));
+        }
+
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    /**
+     * Paint a blotchy greyscale texture that the ball's colour is multiplied with
+     * @private
+     */
+    _createTexture() {
+        const data = new Uint8Array(TEXTURE_WIDTH * TEXTURE_HEIGHT * 4);
+        for (let y = 0; y < TEXTURE_HEIGHT; y++) {
+            const phi = (y / (TEXTURE_HEIGHT - 1)) * Math.PI;
+            for (let x = 0; x < TEXTURE_WIDTH; x++) {
+                const theta = (x / TEXTURE_WIDTH) * Math.PI * 2;
+
+                // Sample on the sphere rather than in UV space, so the poles and the seam match up
+                const nx = Math.sin(phi) * Math.cos(theta);
+                const ny = Math.cos(phi);
+                const nz = Math.sin(phi) * Math.sin(theta);
+                const blotches = lumpiness(nx * 2.3, ny * 2.3, nz * 2.3);
+                const fibres = Math.sin(nx * 41 + Math.sin(nz * 17) * 3) * Math.sin(ny * 37 + nx * 5);
+                const shade = THREE.MathUtils.clamp(0.75 + 0.2 * blotches + 0.08 * fibres, 0, 1);
+
+                const index = (y * TEXTURE_WIDTH + x) * 4;
+                data[index] = data[index + 1] = data[index + 2] = Math.round(shade * 255);
+                data[index + 3] = 255;
+            }
+        }
+
+        const texture = new THREE.DataTexture(data, TEXTURE_WIDTH, TEXTURE_HEIGHT);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Create one twig or grass bit at a random spot, partly pressed into the surface
+     * @private
+     */
+    _createInclusion(kind) {
+        const mesh = new THREE.Mesh(this._inclusionGeometries[kind], this._inclusionMaterials[kind]);
+        const normal = new THREE.Vector3().randomDirection();
+
+        // Twigs lie almost flat along the surface; grass sticks out at an angle
+        const tangent = new THREE.Vector3().randomDirection().projectOnPlane(normal).normalize();
+        const lean = kind === 'twig' ? 0.15 : 0.6;
+        const axis = tangent.multiplyScalar(1 - lean).addScaledVector(normal, lean).normalize();
+
+        mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis);
+        mesh.position.copy(normal).multiplyScalar(this.radius * (1 + LUMP_HEIGHT * lumpiness(normal.x, normal.y, normal.z)));
+        mesh.scale.setScalar(1 / this._scale);
+        mesh.castShadow = true;
+        return mesh;
+    }
+}
+
+/**
+ * Smooth bumps over the unit sphere, roughly in -1..1
+ * @param {number} x - Direction x
+ * @param {number} y - Direction y
+ * @param {number} z - Direction z
+ * @returns {number} Bump height
+ */
+function lumpiness(x, y, z) {
+    return (
+        Math.sin(x * 7.1 + 1.3) * Math.sin(y * 6.3 + 0.4) * Math.sin(z * 5.7 + 2.1) +
+        0.5 * Math.sin(x * 13.7 + y * 3.1 + 0.8) * Math.sin(z * 11.9 + 1.7) +
+        0.25 * Math.sin(y * 23.3 + z * 5.9) * Math.sin(x * 19.1 + 0.3)
+    ) / 1.2;
+}
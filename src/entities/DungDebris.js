@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+import { DEFAULT_DUNG_TYPE, blendDungColor } from './DungTypes';
+
+// Seconds before a chunk can stick to the ball again
+const PICKUP_DELAY = 0.5;
+
+// Seconds a chunk lasts before drying out and crumbling away
+const LIFETIME = 10;
+
+// Seconds over which a chunk shrinks away at the end of its life
+const CRUMBLE_TIME = 1;
+
+/**
+ * DungDebris - A chunk of dung knocked off the ball, which sticks back on if the ball rolls over it
+ */
+export class DungDebris {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the chunk mesh to
+     * @param {PhysicsWorld} physicsWorld - Physics world to simulate the chunk in
+     * @param {THREE.Vector3} position - Centre of the chunk
+     * @param {THREE.Vector3} velocity - Initial velocity in m/s
+     * @param {Object} options - Chunk properties
+     * @param {number} options.volume - Volume of dung in the chunk (m³)
+     * @param {number} options.mass - Mass of the chunk in kg
+     * @param {Object<string, number>} [options.composition] - Dung type -> fraction of the chunk, as on the ball it came from
+     * @param {number} [options.age=0] - Seconds the chunk has already existed
+     */
+    constructor(scene, physicsWorld, position, velocity, options) {
+        this.scene = scene;
+        this.physicsWorld = physicsWorld;
+        this.volume = options.volume;
+        this.mass = options.mass;
+        this.composition = { ...(options.composition || { [DEFAULT_DUNG_TYPE]: 1 }) };
+        this.age = options.age || 0;
+        this.absorbed = false;
+        this.body = null;
+        this.bodyId = null;
+        this._unsubscribeContacts = null;
+
+        this.radius = Math.cbrt(this.volume * 3 / (4 * Math.PI));
+
+        // Create visual representation
+        const geometry = new THREE.IcosahedronGeometry(this.radius, 0);
+        const material = new THREE.MeshStandardMaterial({
+            color: blendDungColor(this.composition),
+            metalness: 0.1,
+            roughness: 0.9,
+            flatShading: true
+        });
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.castShadow = true;
+        scene.add(this.mesh);
+
+        // Initialize physics body
+        this.initPhysics(position, velocity);
+    }
+
+    /**
+     * Create the chunk's body and start listening for the ball
+     * @param {THREE.Vector3} position - Centre of the chunk
+     * @param {THREE.Vector3} velocity - Initial velocity in m/s
+     */
+    initPhysics(position, velocity) {
+        if (!this.physicsWorld.Ammo) return;
+
+        const Ammo = this.physicsWorld.Ammo;
+        const scratch = this.physicsWorld.scratch;
+
+        const shape = new Ammo.btSphereShape(this.radius);
+        const transform = scratch.transform();
+        transform.setOrigin(scratch.vector3(position.x, position.y, position.z));
+        const motionState = new Ammo.btDefaultMotionState(transform);
+
+        const localInertia = scratch.vector3(0, 0, 0);
+        shape.calculateLocalInertia(this.mass, localInertia);
+        const rbInfo = new Ammo.btRigidBodyConstructionInfo(this.mass, motionState, shape, localInertia);
+        this.body = new Ammo.btRigidBody(rbInfo);
+        this.body.setLinearVelocity(scratch.vector3(velocity.x, velocity.y, velocity.z));
+        Ammo.destroy(rbInfo);
+
+        this.bodyId = this.physicsWorld.addRigidBody(this.body, {
+            mesh: this.mesh,
+            owner: this,
+            layer: 'debris',
+            material: 'dung'
+        });
+
+        this._unsubscribeContacts = this.physicsWorld.onContact(this.bodyId, (event) => {
+            if (event.type === 'end' || this.age < PICKUP_DELAY) return;
+            if (event.otherOwner && typeof event.otherOwner.addVolume === 'function') {
+                this.absorbInto(event.otherOwner);
+            }
+        });
+    }
+
+    /**
+     * Age the chunk
+     * @param {number} deltaTime - Step length in seconds
+     */
+    update(deltaTime) {
+        this.age += deltaTime;
+
+        const remaining = LIFETIME - this.age;
+        if (remaining < CRUMBLE_TIME) {
+            const scale = Math.max(remaining / CRUMBLE_TIME, 0);
+            this.mesh.scale.set(scale, scale, scale);
+        }
+    }
+
+    /**
+     * Check whether the chunk has crumbled away
+     * @returns {boolean} True once the chunk's lifetime is over
+     */
+    isExpired() {
+        return this.age >= LIFETIME;
+    }
+
+    /**
+     * Stick the chunk back onto a ball; the chunk is used up and should be disposed
+     * @param {DungBall} ball - Ball that rolled over the chunk
+     * @returns {number} Volume the ball gained (m³)
+     */
+    absorbInto(ball) {
+        if (this.absorbed) return 0;
+
+        this.absorbed = true;
+        return Object.keys(this.composition).reduce((gained, type) => {
+            return gained + ball.addVolume(this.volume * this.composition[type], type);
+        }, 0);
+    }
+
+    /**
+     * Capture the chunk so it can be created again
+     * @returns {Object} { volume, mass, composition, age, body }
+     */
+    getState() {
+        return {
+            volume: this.volume,
+            mass: this.mass,
+            composition: { ...this.composition },
+            age: this.age,
+            body: this.physicsWorld.getBodyState(this.bodyId)
+        };
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this._unsubscribeContacts) {
+            this._unsubscribeContacts();
+            this._unsubscribeContacts = null;
+        }
+        if (this.body) {
+            this.physicsWorld.removeRigidBody(this.bodyId);
+            this.body = null;
+            this.bodyId = null;
+        }
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
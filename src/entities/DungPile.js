@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+import { DEFAULT_DUNG_TYPE, getDungType } from './DungTypes';
+
+// Colour of dried-out dung; a pile's quality blends from it to its type's colour
+const DRY_COLOR = new THREE.Color(0x8A6A45);
+
+/**
+ * DungPile - A mound of dung lying in the world, waiting to be rolled up
+ * The ball gains the pile's fresh volume, as much of it as the ball's stickiness holds.
+ */
+export class DungPile {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the pile mesh to
+     * @param {PhysicsWorld} physicsWorld - Physics world to place the pile's sensor in
+     * @param {THREE.Vector3} position - Ground position of the pile's centre
+     * @param {Object} [options] - Pile properties
+     * @param {number} [options.volume=0.2] - Volume of dung in the pile (m³)
+     * @param {number} [options.quality=1] - Fraction of the pile fresh enough to stick (0-1)
+     * @param {string} [options.type] - Dung type from DungTypes
+     */
+    constructor(scene, physicsWorld, position, options = {}) {
+        this.scene = scene;
+        this.physicsWorld = physicsWorld;
+        this.position = position.clone();
+        this.volume = options.volume !== undefined ? options.volume : 0.2;
+        this.quality = THREE.MathUtils.clamp(options.quality !== undefined ? options.quality : 1, 0, 1);
+        this.type = options.type || DEFAULT_DUNG_TYPE;
+        this.absorbed = false;
+        this.bodyId = null;
+        this._unsubscribeContacts = null;
+
+        // A hemisphere holding the pile's volume: V = 2/3 π r³
+        this.radius = Math.cbrt(3 * this.volume / (2 * Math.PI));
+
+        // Create visual representation
+        const geometry = new THREE.SphereGeometry(this.radius, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2);
+        const material = new THREE.MeshStandardMaterial({
+            color: DRY_COLOR.clone().lerp(new THREE.Color(getDungType(this.type).color), this.quality),
+            metalness: 0.1,
+            roughness: 1,
+            flatShading: true
+        });
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.copy(this.position);
+        this.mesh.scale.y = 0.6; // Piles slump rather than stand as domes
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+        scene.add(this.mesh);
+
+        // Initialize physics sensor
+        this.initPhysics();
+    }
+
+    /**
+     * Create the sensor that notices the ball rolling over the pile
+     */
+    initPhysics() {
+        if (!this.physicsWorld.Ammo) return;
+
+        const shape = new this.physicsWorld.Ammo.btSphereShape(this.radius);
+        this.bodyId = this.physicsWorld.addTrigger(shape, this.position, {
+            owner: this,
+            layer: 'pickup'
+        });
+        if (this.bodyId === null) return;
+
+        this._unsubscribeContacts = this.physicsWorld.onContact(this.bodyId, (event) => {
+            if (event.type === 'begin' && event.otherOwner && typeof event.otherOwner.addVolume === 'function') {
+                this.absorbInto(event.otherOwner);
+            }
+        });
+    }
+
+    /**
+     * Add the pile to a ball; the pile is used up and should be disposed
+     * @param {DungBall} ball - Ball rolling over the pile
+     * @returns {number} Volume the ball gained (m³)
+     */
+    absorbInto(ball) {
+        if (this.absorbed) return 0;
+
+        this.absorbed = true;
+        return ball.addVolume(this.volume * this.quality * ball.getStickiness(), this.type);
+    }
+
+    /**
+     * Describe the pile so an identical one can be placed again
+     * @returns {Object} { position, volume, quality, type }
+     */
+    getState() {
+        return {
+            position: this.position.toArray(),
+            volume: this.volume,
+            quality: this.quality,
+            type: this.type
+        };
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this._unsubscribeContacts) {
+            this._unsubscribeContacts();
+            this._unsubscribeContacts = null;
+        }
+        if (this.bodyId !== null) {
+            this.physicsWorld.removeRigidBody(this.bodyId);
+            this.bodyId = null;
+        }
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
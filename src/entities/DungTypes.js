@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+
+/**
+ * DungTypes - The materials a dung ball can be rolled up from
+ * A ball takes on the volume-weighted average of the types it holds.
+ */
+
+// Type of the dung a new ball starts out as, and of dung added without one
+export const DEFAULT_DUNG_TYPE = 'herbivore';
+
+// Density in kg/m³ and stickiness as the fraction of a pickup that stays on; inclusion is 'twig', 'grass' or null
+export const DUNG_TYPES = {
+    herbivore: {
+        density: 3.82,
+        stickiness: 1,
+        friction: 0.7,
+        rollingFriction: 0.1,
+        durability: 1,
+        color: 0x4A2F1C,
+        inclusion: 'twig'
+    },
+    grass: {
+        density: 2.8,
+        stickiness: 0.8,
+        friction: 0.6,
+        rollingFriction: 0.08,
+        durability: 0.8,
+        color: 0x5A5226,
+        inclusion: 'grass'
+    },
+    sand: {
+        density: 7.5,
+        stickiness: 0.5,
+        friction: 0.9,
+        rollingFriction: 0.2,
+        durability: 0.6,
+        color: 0xC2A66B,
+        inclusion: null
+    },
+    snow: {
+        density: 1.5,
+        stickiness: 0.9,
+        friction: 0.2,
+        rollingFriction: 0.03,
+        durability: 0.5,
+        color: 0xE8EEF2,
+        inclusion: null
+    }
+};
+
+/**
+ * Look up a dung type by name
+ * @param {string} name - Dung type name
+ * @returns {Object} The type, or the default type if the name is unknown
+ */
+export function getDungType(name) {
+    if (!(name in DUNG_TYPES)) {
+        console.warn(`Unknown dung type "${name}", using "${DEFAULT_DUNG_TYPE}"`);
+        return DUNG_TYPES[DEFAULT_DUNG_TYPE];
+    }
+    return DUNG_TYPES[name];
+}
+
+/**
+ * Average a property over a mix of dung types, weighted by volume
+ * @param {Object<string, number>} composition - Type name -> volume (or fraction)
+ * @param {string} property - Numeric property of the types
+ * @returns {number} Weighted average, or the default type's value for an empty mix
+ */
+export function blendDungProperty(composition, property) {
+    let total = 0;
+    let sum = 0;
+    Object.keys(composition).forEach(name => {
+        total += composition[name];
+        sum += composition[name] * getDungType(name)[property];
+    });
+    return total > 0 ? sum / total : DUNG_TYPES[DEFAULT_DUNG_TYPE][property];
+}
+
+/**
+ * Mix the colours of a blend of dung types, weighted by volume
+ * @param {Object<string, number>} composition - Type name -> volume (or fraction)
+ * @param {THREE.Color} [target] - Colour to write into
+ * @returns {THREE.Color} The mixed colour
+ */
+export function blendDungColor(composition, target = new THREE.Color()) {
+    const color = new THREE.Color();
+    let total = 0;
+    target.setRGB(0, 0, 0);
+    Object.keys(composition).forEach(name => {
+        color.setHex(getDungType(name).color);
+        target.r += color.r * composition[name];
+        target.g += color.g * composition[name];
+        target.b += color.b * composition[name];
+        total += composition[name];
+    });
+
+    if (total <= 0) return target.setHex(DUNG_TYPES[DEFAULT_DUNG_TYPE].color);
+    return target.multiplyScalar(1 / total);
+}
@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+
+// Kinds of obstacle and the physics material each is made of
+export const OBSTACLE_TYPES = {
+    rock: { material: 'rock', color: 0x7D7468 },
+    thorn: { material: 'thorn', color: 0x3F5A2A },
+    log: { material: 'wood', color: 0x6B4A2B }
+};
+
+// Number of thorns sticking out of a thorn bush
+const THORN_COUNT = 14;
+
+/**
+ * Obstacle - A static rock, thorn bush or fallen log lying in the world
+ */
+export class Obstacle {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the obstacle mesh to
+     * @param {PhysicsWorld} physicsWorld - Physics world to place the obstacle in
+     * @param {string} type - Obstacle type from OBSTACLE_TYPES
+     * @param {THREE.Vector3} position - Ground position of the obstacle's centre
+     * @param {Object} [options] - Obstacle size
+     * @param {number} [options.radius=0.5] - Radius of the rock or bush, or of the log's trunk (m)
+     * @param {number} [options.length=3] - Length of a log (m)
+     * @param {number} [options.rotation=0] - Heading of a log's length, about the vertical (rad)
+     */
+    constructor(scene, physicsWorld, type, position, options = {}) {
+        this.scene = scene;
+        this.physicsWorld = physicsWorld;
+        this.type = type in OBSTACLE_TYPES ? type : 'rock';
+        this.position = position.clone();
+        this.radius = options.radius !== undefined ? options.radius : 0.5;
+        this.length = options.length !== undefined ? options.length : 3;
+        this.rotation = options.rotation || 0;
+        this.bodyId = null;
+
+        if (this.type !== type) {
+            console.warn(`Unknown obstacle type "${type}", using rock`);
+        }
+
+        // Create visual representation
+        this.mesh = this._createMesh();
+        this.mesh.position.copy(this.position);
+        this.mesh.position.y += this._getCenterHeight();
+        this.mesh.rotation.y = this.rotation;
+        this.mesh.traverse(object => {
+            object.castShadow = true;
+            object.receiveShadow = true;
+        });
+        scene.add(this.mesh);
+
+        // Initialize physics body
+        this.initPhysics();
+    }
+
+    /**
+     * Create the static body the beetle and ball collide with
+     */
+    initPhysics() {
+        const Ammo = this.physicsWorld.Ammo;
+        if (!Ammo) return;
+
+        const shape = this.type === 'log'
+            ? new Ammo.btCylinderShapeX(this.physicsWorld.scratch.vector3(this.length / 2, this.radius, this.radius))
+            : new Ammo.btSphereShape(this.radius);
+        this.bodyId = this.physicsWorld.addRigidBody(this.mesh, {
+            shape,
+            mass: 0,
+            owner: this,
+            layer: 'obstacle',
+            material: OBSTACLE_TYPES[this.type].material
+        });
+    }
+
+    /**
+     * Check whether a point lies within the obstacle's footprint
+     * @param {THREE.Vector3} point - World position to test
+     * @param {number} [margin=0] - Extra distance allowed past the footprint (m)
+     * @returns {boolean} True if the point is on or near the obstacle
+     */
+    contains(point, margin = 0) {
+        const dx = point.x - this.position.x;
+        const dz = point.z - this.position.z;
+        const reach = (this.type === 'log' ? this.length / 2 : this.radius) + margin;
+        return dx * dx + dz * dz <= reach * reach;
+    }
+
+    /**
+     * Height of the obstacle's centre above the ground it lies on
+     * Rocks are half buried, bushes sit low and logs lie on their side.
+     * @returns {number} Height (m)
+     * @private
+     */
+    _getCenterHeight() {
+        switch (this.type) {
+            case 'rock':
+                return this.radius * 0.5;
+            case 'thorn':
+                return this.radius * 0.8;
+            default:
+                return this.radius;
+        }
+    }
+
+    /**
+     * Build the mesh for the obstacle's type
+     * @returns {THREE.Object3D} Mesh or group centred on the obstacle
+     * @private
+     */
+    _createMesh() {
+        const material = new THREE.MeshStandardMaterial({
+            color: OBSTACLE_TYPES[this.type].color,
+            roughness: 0.9,
+            flatShading: true
+        });
+
+        if (this.type === 'log') {
+            const geometry = new THREE.CylinderGeometry(this.radius, this.radius, this.length, 12);
+            geometry.rotateZ(Math.PI / 2); // Lie along X, like the physics cylinder
+            return new THREE.Mesh(geometry, material);
+        }
+
+        if (this.type === 'rock') {
+            return new THREE.Mesh(new THREE.DodecahedronGeometry(this.radius), material);
+        }
+
+        // A bush with thorns spread evenly over it along a spiral
+        const bush = new THREE.Group();
+        bush.add(new THREE.Mesh(new THREE.IcosahedronGeometry(this.radius, 1), material));
+        const thornMaterial = new THREE.MeshStandardMaterial({ color: 0xC8B890, roughness: 0.7 });
+        const thornLength = this.radius * 0.4;
+        const up = new THREE.Vector3(0, 1, 0);
+        for (let i = 0; i < THORN_COUNT; i++) {
+            const y = 1 - (i + 0.5) / THORN_COUNT * 1.5; // Leave the underside bare
+            const ring = Math.sqrt(1 - y * y);
+            const angle = i * Math.PI * (3 - Math.sqrt(5));
+            const direction = new THREE.Vector3(Math.cos(angle) * ring, y, Math.sin(angle) * ring);
+
+            const thorn = new THREE.Mesh(new THREE.ConeGeometry(thornLength * 0.15, thornLength, 5), thornMaterial);
+            thorn.quaternion.setFromUnitVectors(up, direction);
+            thorn.position.copy(direction).multiplyScalar(this.radius + thornLength / 2);
+            bush.add(thorn);
+        }
+        return bush;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this.bodyId !== null) {
+            this.physicsWorld.removeRigidBody(this.bodyId);
+            this.bodyId = null;
+        }
+        this.scene.remove(this.mesh);
+        this.mesh.traverse(object => {
+            if (object.isMesh) {
+                object.geometry.dispose();
+                object.material.dispose();
+            }
+        });
+    }
+}
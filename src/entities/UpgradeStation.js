@@ -0,0 +1,68 @@
+import * as THREE from 'three';
+
+// Height of the marker post standing at the station's centre (m)
+const POST_HEIGHT = 1.5;
+
+/**
+ * UpgradeStation - A ring on the ground where the beetle and its ball can shop for upgrades
+ */
+export class UpgradeStation {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the station's meshes to
+     * @param {THREE.Vector3} position - Ground position of the station's centre
+     * @param {number} [radius=2] - Radius of the ring (m)
+     */
+    constructor(scene, position, radius = 2) {
+        this.scene = scene;
+        this.position = position.clone();
+        this.radius = radius;
+
+        // Create visual representation
+        this.group = new THREE.Group();
+        this.group.position.copy(this.position);
+
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(radius * 0.9, radius, 48),
+            new THREE.MeshStandardMaterial({ color: 0xE0B040, roughness: 0.6, side: THREE.DoubleSide })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = 0.01; // Just above the ground so it does not flicker
+        this.group.add(ring);
+
+        const post = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.05, 0.08, POST_HEIGHT, 8),
+            new THREE.MeshStandardMaterial({ color: 0x6B4F2A, roughness: 1 })
+        );
+        post.position.y = POST_HEIGHT / 2;
+        post.castShadow = true;
+        this.group.add(post);
+
+        scene.add(this.group);
+    }
+
+    /**
+     * Check whether a point lies inside the ring
+     * @param {THREE.Vector3} point - World position to test
+     * @param {number} [margin=0] - Extra distance allowed past the ring (m)
+     * @returns {boolean} True if the point is within the ring
+     */
+    contains(point, margin = 0) {
+        const dx = point.x - this.position.x;
+        const dz = point.z - this.position.z;
+        const reach = this.radius + margin;
+        return dx * dx + dz * dz <= reach * reach;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.scene.remove(this.group);
+        this.group.traverse(object => {
+            if (object.isMesh) {
+                object.geometry.dispose();
+                object.material.dispose();
+            }
+        });
+    }
+}
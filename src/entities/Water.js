@@ -0,0 +1,56 @@
+import * as THREE from 'three';
+
+// Height of the water surface above the ground it lies on (m)
+const SURFACE_HEIGHT = 0.02;
+
+/**
+ * Water - A round pond lying on the ground, with no physics body of its own
+ */
+export class Water {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the pond mesh to
+     * @param {THREE.Vector3} position - Ground position of the pond's centre
+     * @param {number} radius - Radius of the pond (m)
+     */
+    constructor(scene, position, radius) {
+        this.scene = scene;
+        this.position = position.clone();
+        this.radius = radius;
+
+        // Create visual representation
+        const geometry = new THREE.CircleGeometry(radius, 32);
+        const material = new THREE.MeshStandardMaterial({
+            color: 0x3A6E8C,
+            transparent: true,
+            opacity: 0.8,
+            metalness: 0.3,
+            roughness: 0.1
+        });
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.rotation.x = -Math.PI / 2;
+        this.mesh.position.copy(this.position);
+        this.mesh.position.y += SURFACE_HEIGHT;
+        this.mesh.receiveShadow = true;
+        scene.add(this.mesh);
+    }
+
+    /**
+     * Check whether a point lies over the pond
+     * @param {THREE.Vector3} point - World position to test
+     * @returns {boolean} True if the point is within the pond's outline
+     */
+    contains(point) {
+        const dx = point.x - this.position.x;
+        const dz = point.z - this.position.z;
+        return dx * dx + dz * dz <= this.radius * this.radius;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
@@ -7,6 +7,21 @@ import { PhysicsWorld } from './physics/PhysicsWorld';
 const loadingScreen = document.getElementById('loading-screen');
 const loadingProgress = document.querySelector('.loading-progress');
 const ballSizeDisplay = document.getElementById('ball-size');
+const ballWeightDisplay = document.getElementById('ball-weight');
+const ballStatusDisplay = document.getElementById('ball-status');
+const controlModeDisplay = document.getElementById('control-mode');
+const staminaBar = document.getElementById('stamina-bar');
+const staminaFill = document.getElementById('stamina-fill');
+const upgradePanel = document.getElementById('upgrade-panel');
+const upgradeList = document.getElementById('upgrade-list');
+
+// What the HUD says while the ball is lost, by reason
+const BALL_LOST_MESSAGES = {
+    distance: 'Your ball rolled away!',
+    outOfSight: 'Where did your ball go?',
+    outOfBounds: 'Your ball rolled off the edge of the world...',
+    sunk: 'Your ball sank...'
+};
 
 // Create debug panel
 const debugPanel = document.createElement('div');
@@ -34,6 +49,22 @@ function debugLog(message) {
     debugPanel.scrollTop = debugPanel.scrollHeight;
 }
 
+// Function to list the upgrades for sale at an upgrade station
+function showUpgrades(game) {
+    upgradeList.replaceChildren();
+    game.getUpgradeOptions().forEach(option => {
+        const button = document.createElement('button');
+        const cost = option.level >= option.maxLevel ? 'max' : `${option.cost.toFixed(2)} m³`;
+        button.textContent = `${option.name} ${option.level}/${option.maxLevel} (${cost})`;
+        button.disabled = !option.available || !option.affordable;
+        button.onclick = () => {
+            game.buyUpgrade(option.id);
+            showUpgrades(game);
+        };
+        upgradeList.appendChild(button);
+    });
+}
+
 // Function to update loading progress
 function updateLoadingProgress(progress) {
     loadingProgress.style.width = `${progress}%`;
@@ -75,8 +106,9 @@ async function initGame() {
 
         updateLoadingProgress(60);
 
-        // Create game instance
-        const game = new Game(renderer, camera, controls);
+        // Create game instance; ?physicsWorker moves the simulation off the main thread
+        const physicsWorker = new URLSearchParams(window.location.search).has('physicsWorker');
+        const game = new Game(renderer, camera, controls, { physicsWorker });
         
         // Initialize game
         debugLog('Initializing game...');
@@ -98,12 +130,63 @@ async function initGame() {
             loadingScreen.style.display = 'none';
         }
 
-        // Update UI with ball size
-        game.onBallSizeChange = (size) => {
+        // Update UI with ball diameter and weight
+        game.onBallSizeChange = (size, mass) => {
             if (ballSizeDisplay) {
-                ballSizeDisplay.textContent = size.toFixed(1);
+                ballSizeDisplay.textContent = (size * 2).toFixed(1);
+            }
+            if (ballWeightDisplay) {
+                ballWeightDisplay.textContent = mass.toFixed(1);
+            }
+            debugLog(`Ball size updated: ${size.toFixed(1)}, weight ${mass.toFixed(1)} kg`);
+        };
+
+        // Show how much effort the beetle has left; the bar turns red while exhausted
+        game.onStaminaChange = (stamina, capacity, exhausted) => {
+            if (staminaFill) {
+                staminaFill.style.width = `${(stamina / capacity) * 100}%`;
+            }
+            if (staminaBar) {
+                staminaBar.classList.toggle('exhausted', exhausted);
+            }
+        };
+
+        // Show which control mode the keys are in
+        game.onControlModeChange = (mode) => {
+            if (controlModeDisplay) {
+                controlModeDisplay.textContent = mode;
             }
-            debugLog(`Ball size updated: ${size.toFixed(1)}`);
+        };
+
+        // Tell the player when the ball is lost and when it is back
+        game.onBallLost = (reason) => {
+            if (ballStatusDisplay) {
+                ballStatusDisplay.textContent = BALL_LOST_MESSAGES[reason];
+            }
+            debugLog(`Ball lost: ${reason}`);
+        };
+        game.onBallFound = () => {
+            if (ballStatusDisplay) {
+                ballStatusDisplay.textContent = '';
+            }
+        };
+        game.onBallRecovered = ({ reason, volumeLost }) => {
+            if (ballStatusDisplay) {
+                ballStatusDisplay.textContent = '';
+            }
+            debugLog(`Ball recovered after ${reason}, lost ${volumeLost.toFixed(2)} m³`);
+        };
+
+        // Offer upgrades while the beetle and ball are at an upgrade station
+        game.onUpgradeStationChange = (station) => {
+            if (!upgradePanel) return;
+            upgradePanel.classList.toggle('hidden', !station);
+            if (station) {
+                showUpgrades(game);
+            }
+        };
+        game.onBeetleUpgrade = (id, level) => {
+            debugLog(`Upgraded ${id} to level ${level}`);
         };
     } catch (error) {
         console.error('Failed to initialize game:', error);
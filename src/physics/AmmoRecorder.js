@@ -0,0 +1,256 @@
+// Methods that only read state; their calls are not replayed in the worker
+const GETTER_PATTERN = /^(get|is|has|want)|^[xyzw]$/;
+
+/**
+ * AmmoRecorder - Ammo.js namespace that mirrors every change into the physics worker
+ * Calls run on local Ammo.js objects and all but getters are queued for the worker to replay.
+ */
+export class AmmoRecorder {
+    /**
+     * @param {Object} Ammo - Initialized local Ammo.js module
+     */
+    constructor(Ammo) {
+        this.Ammo = Ammo;
+        this.commands = [];
+        this._nextId = 1;
+        this._proxies = new Map(); // Local pointer -> proxies of the objects at that address
+        this._info = new WeakMap(); // Proxy -> { id, raw, source, remote, children }
+        this._constructors = new Map(); // Class name -> recording constructor
+
+        this.namespace = new Proxy(Ammo, {
+            get: (target, name) => this._getNamespaceMember(target, name)
+        });
+    }
+
+    /**
+     * Queue a command that is not a method call, such as a world operation
+     * @param {Object} command - Command for the worker
+     */
+    push(command) {
+        this.commands.push(command);
+    }
+
+    /**
+     * Hand over the queued commands and start a new queue
+     * @returns {Object[]} Commands in the order they were recorded
+     */
+    takeCommands() {
+        const commands = this.commands;
+        this.commands = [];
+        return commands;
+    }
+
+    /**
+     * Get the worker-side ID of a recorded object, creating it there if needed
+     * @param {Object} object - Object created through the recorder
+     * @returns {number} Remote object ID
+     */
+    ref(object) {
+        const info = this._info.get(object);
+        if (!info) {
+            throw new Error('Object was not created through PhysicsWorld.Ammo');
+        }
+
+        this._materialize(object, info);
+        return info.id;
+    }
+
+    /**
+     * Get the local Ammo.js object behind a recorded one
+     * Calls on the result are not replayed in the worker.
+     * @param {Object} object - Recorded or plain Ammo.js object
+     * @returns {Object} Local Ammo.js object
+     */
+    unwrap(object) {
+        const info = this._info.get(object);
+        return info ? info.raw : object;
+    }
+
+    /**
+     * Resolve a member of the recording namespace
+     * @private
+     */
+    _getNamespaceMember(target, name) {
+        const value = target[name];
+        if (typeof value !== 'function' || !this._isClass(value) || value === target.WrapperObject) return value;
+
+        if (!this._constructors.has(name)) {
+            const recorder = this;
+            const RecordingClass = function (...args) {
+                return recorder._construct(name, value, args);
+            };
+            RecordingClass.prototype = value.prototype;
+            this._constructors.set(name, RecordingClass);
+        }
+        return this._constructors.get(name);
+    }
+
+    /**
+     * Check whether a function is an Ammo.js class rather than a method
+     * Wrapped objects also hold their class in a property, which must not be recorded.
+     * @private
+     */
+    _isClass(value) {
+        return value === this.Ammo.WrapperObject || value.prototype instanceof this.Ammo.WrapperObject;
+    }
+
+    /**
+     * Create a local object and queue its construction in the worker
+     * @private
+     */
+    _construct(className, Class, args) {
+        const raw = new Class(...args);
+        const command = { op: 'new', className, args: null };
+
+        // Heightfield data lives in the local Ammo.js heap, so send a copy
+        // of it along (PHY_FLOAT data: width * length floats at args[2])
+        if (className === 'btHeightfieldTerrainShape') {
+            const start = args[2] / 4;
+            command.heap = this.Ammo.HEAPF32.slice(start, start + args[0] * args[1]);
+        }
+
+        const proxy = this._track(raw, command, null);
+        const info = this._info.get(proxy);
+        command.id = info.id;
+        command.args = this._encode(args);
+        info.remote = true;
+        this.commands.push(command);
+        return proxy;
+    }
+
+    /**
+     * Wrap a local object in a recording proxy
+     * @param {Object} raw - Local Ammo.js object
+     * @param {Object} source - How to create the object in the worker
+     * @param {Object|null} parent - Proxy the object was read from, if any
+     * @returns {Object} The proxy
+     * @private
+     */
+    _track(raw, source, parent) {
+        const proxy = new Proxy(raw, {
+            get: (target, name) => {
+                const value = target[name];
+                if (typeof value !== 'function' || this._isClass(value)) return value;
+                return (...args) => this._invoke(proxy, name, args);
+            }
+        });
+
+        this._info.set(proxy, {
+            id: this._nextId++,
+            raw,
+            source,
+            remote: false,
+            children: []
+        });
+
+        // A member at offset 0, like a transform's basis, shares its owner's pointer
+        const pointer = this.Ammo.getPointer(raw);
+        if (!this._proxies.has(pointer)) {
+            this._proxies.set(pointer, []);
+        }
+        this._proxies.get(pointer).push(proxy);
+        if (parent) {
+            this._info.get(parent).children.push(proxy);
+        }
+        return proxy;
+    }
+
+    /**
+     * Call a method locally and queue it for the worker if it changes state
+     * @private
+     */
+    _invoke(proxy, name, args) {
+        const info = this._info.get(proxy);
+        const result = info.raw[name](...args);
+
+        if (name === '__destroy__') {
+            this._materialize(proxy, info);
+            this.commands.push({ op: 'destroy', target: info.id });
+            this._untrack(proxy);
+            return result;
+        }
+
+        const returnsObject = result instanceof this.Ammo.WrapperObject;
+        if (GETTER_PATTERN.test(name)) {
+            return returnsObject ? this._wrapResult(result, proxy, name, args) : result;
+        }
+
+        this._materialize(proxy, info);
+        const command = { op: 'call', target: info.id, method: name, args: this._encode(args) };
+        let wrapped = result;
+        if (returnsObject) {
+            wrapped = this._wrapResult(result, proxy, name, args);
+            const resultInfo = this._info.get(wrapped);
+            if (!resultInfo.remote) {
+                command.result = resultInfo.id;
+                resultInfo.remote = true;
+            }
+        }
+        this.commands.push(command);
+        return wrapped;
+    }
+
+    /**
+     * Wrap an object returned by a method, reusing the proxy for known objects
+     * @private
+     */
+    _wrapResult(raw, parent, method, args) {
+        const Class = this.Ammo.getClass(raw);
+        const proxies = this._proxies.get(this.Ammo.getPointer(raw)) || [];
+        const existing = proxies.find(proxy => this._info.get(proxy).raw instanceof Class);
+        if (existing) return existing;
+
+        return this._track(raw, { op: 'get', method, args, parent }, parent);
+    }
+
+    /**
+     * Make sure the worker has a copy of an object before it is referenced
+     * @private
+     */
+    _materialize(proxy, info) {
+        if (info.remote) return;
+
+        const parentInfo = this._info.get(info.source.parent);
+        this._materialize(info.source.parent, parentInfo);
+        this.commands.push({
+            op: 'get',
+            id: info.id,
+            target: parentInfo.id,
+            method: info.source.method,
+            args: this._encode(info.source.args)
+        });
+        info.remote = true;
+    }
+
+    /**
+     * Forget a destroyed object and everything read from it
+     * @private
+     */
+    _untrack(proxy) {
+        const info = this._info.get(proxy);
+        if (!info) return;
+
+        const pointer = this.Ammo.getPointer(info.raw);
+        const proxies = (this._proxies.get(pointer) || []).filter(other => other !== proxy);
+        if (proxies.length > 0) {
+            this._proxies.set(pointer, proxies);
+        } else {
+            this._proxies.delete(pointer);
+        }
+        info.children.forEach(child => this._untrack(child));
+        this._info.delete(proxy);
+    }
+
+    /**
+     * Replace recorded objects in an argument list with remote references
+     * @private
+     */
+    _encode(args) {
+        return args.map(arg => {
+            if (arg instanceof this.Ammo.WrapperObject) {
+                return { ref: this.ref(arg) };
+            }
+            return arg;
+        });
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * AmmoScratchPool - Reusable temporary Ammo.js vectors, quaternions and transforms
+ * Borrowed objects are taken back at the next physics step or release(); never keep or destroy one.
+ */
+export class AmmoScratchPool {
+    /**
+     * @param {Object} Ammo - Ammo.js namespace to allocate from
+     */
+    constructor(Ammo) {
+        this.Ammo = Ammo;
+        this._pools = new Map(); // Class name -> allocated objects
+        this._used = new Map(); // Class name -> objects borrowed since the last reset
+    }
+
+    /**
+     * Borrow a vector
+     * @param {number} [x=0]
+     * @param {number} [y=0]
+     * @param {number} [z=0]
+     * @returns {Ammo.btVector3} Vector valid until the next physics step
+     */
+    vector3(x = 0, y = 0, z = 0) {
+        const vector = this._acquire('btVector3');
+        vector.setValue(x, y, z);
+        return vector;
+    }
+
+    /**
+     * Borrow a quaternion
+     * @param {number} [x=0]
+     * @param {number} [y=0]
+     * @param {number} [z=0]
+     * @param {number} [w=1]
+     * @returns {Ammo.btQuaternion} Quaternion valid until the next physics step
+     */
+    quaternion(x = 0, y = 0, z = 0, w = 1) {
+        const quaternion = this._acquire('btQuaternion');
+        quaternion.setValue(x, y, z, w);
+        return quaternion;
+    }
+
+    /**
+     * Borrow an identity transform
+     * @returns {Ammo.btTransform} Transform valid until the next physics step
+     */
+    transform() {
+        const transform = this._acquire('btTransform');
+        transform.setIdentity();
+        return transform;
+    }
+
+    /**
+     * Note how much is borrowed, to take back what is borrowed after this point
+     * @returns {Object<string, number>} Mark to pass to release()
+     */
+    mark() {
+        return Object.fromEntries(this._used);
+    }
+
+    /**
+     * Take back every object borrowed since a mark
+     * @param {Object<string, number>} mark - Mark from mark()
+     */
+    release(mark) {
+        this._used = new Map(Object.entries(mark));
+    }
+
+    /**
+     * Take back every borrowed object
+     * Called by PhysicsWorld before each step.
+     */
+    reset() {
+        this._used.clear();
+    }
+
+    /**
+     * Free every object the pool has allocated
+     */
+    dispose() {
+        this._pools.forEach(pool => pool.forEach(object => this.Ammo.destroy(object)));
+        this._pools.clear();
+        this._used.clear();
+    }
+
+    /**
+     * Hand out the next free object of a class, allocating one if needed
+     * @private
+     */
+    _acquire(className) {
+        if (!this._pools.has(className)) {
+            this._pools.set(className, []);
+        }
+
+        const pool = this._pools.get(className);
+        const index = this._used.get(className) || 0;
+        if (index === pool.length) {
+            pool.push(this._create(className));
+        }
+        this._used.set(className, index + 1);
+        return pool[index];
+    }
+
+    /**
+     * Allocate a new pooled object
+     * @private
+     */
+    _create(className) {
+        switch (className) {
+            case 'btVector3':
+                return new this.Ammo.btVector3(0, 0, 0);
+            case 'btQuaternion':
+                return new this.Ammo.btQuaternion(0, 0, 0, 1);
+            default:
+                return new this.Ammo[className]();
+        }
+    }
+}
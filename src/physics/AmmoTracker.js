@@ -0,0 +1,89 @@
+/**
+ * AmmoTracker - Ammo.js namespace that keeps count of the objects created through it
+ */
+export class AmmoTracker {
+    /**
+     * @param {Object} Ammo - Ammo.js namespace to wrap, either the module or a recorder's namespace
+     */
+    constructor(Ammo) {
+        this.Ammo = Ammo;
+        this._live = new Map(); // Heap pointer -> class name
+        this._constructors = new Map(); // Class name -> counting constructor
+
+        this.namespace = new Proxy(Ammo, {
+            get: (target, name) => this._getNamespaceMember(target, name)
+        });
+    }
+
+    /**
+     * Count the live objects of each class
+     * @returns {Object<string, number>} Class name -> number of live objects, most common first
+     */
+    getLiveObjects() {
+        const counts = new Map();
+        this._live.forEach(className => {
+            counts.set(className, (counts.get(className) || 0) + 1);
+        });
+
+        return Object.fromEntries(Array.from(counts).sort((a, b) => b[1] - a[1]));
+    }
+
+    /**
+     * Log the live objects of each class
+     * @param {string} [label='Live Ammo.js objects'] - What the report is about
+     * @returns {Object<string, number>} The counts that were logged
+     */
+    report(label = 'Live Ammo.js objects') {
+        const live = this.getLiveObjects();
+        if (this._live.size === 0) {
+            console.log(`${label}: none`);
+        } else {
+            console.warn(`${label}: ${this._live.size}`);
+            console.table(live);
+        }
+        return live;
+    }
+
+    /**
+     * Resolve a member of the counting namespace
+     * @private
+     */
+    _getNamespaceMember(target, name) {
+        const value = target[name];
+        if (name === 'destroy') {
+            return (object) => this._destroy(target, object);
+        }
+        if (typeof value !== 'function' || !this._isClass(target, value)) return value;
+
+        if (!this._constructors.has(name)) {
+            const tracker = this;
+            const CountingClass = function (...args) {
+                const object = new value(...args);
+                tracker._live.set(target.getPointer(object), name);
+                return object;
+            };
+            CountingClass.prototype = value.prototype;
+            this._constructors.set(name, CountingClass);
+        }
+        return this._constructors.get(name);
+    }
+
+    /**
+     * Check whether a namespace member is a constructible Ammo.js class
+     * @private
+     */
+    _isClass(target, value) {
+        return value !== target.WrapperObject && value.prototype instanceof target.WrapperObject;
+    }
+
+    /**
+     * Destroy an object and stop counting it
+     * @private
+     */
+    _destroy(target, object) {
+        if (object) {
+            this._live.delete(target.getPointer(object));
+        }
+        target.destroy(object);
+    }
+}
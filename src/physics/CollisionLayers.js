@@ -0,0 +1,91 @@
+/**
+ * CollisionLayers - Named collision groups and the matrix of which ones interact
+ */
+
+// Group of ray and contact test callbacks, included in every layer's mask so queries see all layers
+export const QUERY_GROUP = 1 << 0;
+
+// Bit for each layer; Ammo.js stores groups and masks as 16-bit shorts
+export const COLLISION_LAYERS = {
+    terrain: 1 << 1,
+    beetle: 1 << 2,
+    ball: 1 << 3,
+    obstacle: 1 << 4,
+    pickup: 1 << 5,
+    debris: 1 << 6,
+    trigger: 1 << 7
+};
+
+// Layer given to bodies added without one
+export const DEFAULT_LAYER = 'obstacle';
+
+// Layers that can touch each other
+const COLLISION_PAIRS = [
+    ['terrain', 'beetle'],
+    ['terrain', 'ball'],
+    ['terrain', 'obstacle'],
+    ['terrain', 'debris'],
+    ['beetle', 'ball'],
+    ['beetle', 'obstacle'],
+    ['beetle', 'pickup'],
+    ['beetle', 'trigger'],
+    ['ball', 'obstacle'],
+    ['ball', 'pickup'],
+    ['ball', 'debris'],
+    ['ball', 'trigger'],
+    ['obstacle', 'obstacle'],
+    ['obstacle', 'debris'],
+    ['debris', 'debris']
+];
+
+// Every layer bit set
+export const ALL_LAYERS = Object.values(COLLISION_LAYERS).reduce((mask, bit) => mask | bit, 0);
+
+const LAYER_MASKS = {};
+Object.keys(COLLISION_LAYERS).forEach(layer => {
+    LAYER_MASKS[layer] = QUERY_GROUP;
+});
+COLLISION_PAIRS.forEach(([a, b]) => {
+    LAYER_MASKS[a] |= COLLISION_LAYERS[b];
+    LAYER_MASKS[b] |= COLLISION_LAYERS[a];
+});
+
+/**
+ * Get the bit for a named layer
+ * @param {string} layer - Layer name
+ * @returns {number} Collision group bit
+ */
+export function getLayerGroup(layer) {
+    if (!(layer in COLLISION_LAYERS)) {
+        console.warn(`Unknown collision layer "${layer}", using "${DEFAULT_LAYER}"`);
+        return COLLISION_LAYERS[DEFAULT_LAYER];
+    }
+    return COLLISION_LAYERS[layer];
+}
+
+/**
+ * Get the default mask of a named layer from the collision matrix
+ * @param {string} layer - Layer name
+ * @returns {number} Mask of layers the layer collides with
+ */
+export function getLayerMask(layer) {
+    if (!(layer in LAYER_MASKS)) {
+        return LAYER_MASKS[DEFAULT_LAYER];
+    }
+    return LAYER_MASKS[layer];
+}
+
+/**
+ * Turn a mask given as a number, layer name or list of layer names into bits
+ * Masks built from names always include QUERY_GROUP.
+ * @param {number|string|string[]} layers - Mask to resolve
+ * @returns {number} Collision mask
+ */
+export function resolveLayerMask(layers) {
+    if (typeof layers === 'number') return layers;
+    if (typeof layers === 'string') return getLayerGroup(layers) | QUERY_GROUP;
+    if (Array.isArray(layers)) {
+        return layers.reduce((mask, layer) => mask | getLayerGroup(layer), QUERY_GROUP);
+    }
+    return ALL_LAYERS | QUERY_GROUP;
+}
@@ -0,0 +1,78 @@
+// Manifold points further apart than this are not treated as touching (m)
+export const CONTACT_DISTANCE_THRESHOLD = 0.01;
+
+/**
+ * Gather the touching pairs of registered bodies from a world's contact manifolds
+ * Pairs are keyed "idA:idB" with idA < idB, and normalOnB points from idB towards idA.
+ * @param {Object} Ammo - Ammo.js module the world was built with
+ * @param {Ammo.btDynamicsWorld} world - World that has just been stepped
+ * @param {Map<number, number>} idsByPointer - Body pointer -> registered body ID
+ * @param {boolean} [withPoints=true] - Also copy out the contact points
+ * @returns {Map<string, Object>} Pair key -> { idA, idB, points }
+ */
+export function collectContacts(Ammo, world, idsByPointer, withPoints = true) {
+    const dispatcher = world.getDispatcher();
+    const numManifolds = dispatcher.getNumManifolds();
+    const contacts = new Map();
+
+    for (let i = 0; i < numManifolds; i++) {
+        const manifold = dispatcher.getManifoldByIndexInternal(i);
+        const numContacts = manifold.getNumContacts();
+
+        let touching = false;
+        for (let j = 0; j < numContacts; j++) {
+            if (isTouching(manifold.getContactPoint(j))) {
+                touching = true;
+                break;
+            }
+        }
+        if (!touching) continue;
+
+        // Only registered bodies take part in contact events
+        const id0 = idsByPointer.get(Ammo.getPointer(manifold.getBody0()));
+        const id1 = idsByPointer.get(Ammo.getPointer(manifold.getBody1()));
+        if (id0 === undefined || id1 === undefined) continue;
+
+        const swapped = id0 > id1;
+        const idA = swapped ? id1 : id0;
+        const idB = swapped ? id0 : id1;
+        const key = `${idA}:${idB}`;
+
+        // Bodies touching in several places share one entry
+        if (!contacts.has(key)) {
+            contacts.set(key, { idA, idB, points: [] });
+        }
+        if (!withPoints) continue;
+
+        const points = contacts.get(key).points;
+        for (let j = 0; j < numContacts; j++) {
+            const point = manifold.getContactPoint(j);
+            if (!isTouching(point)) continue;
+
+            // Bullet's normal points from body 1 towards body 0
+            const onA = swapped ? point.getPositionWorldOnB() : point.getPositionWorldOnA();
+            const onB = swapped ? point.getPositionWorldOnA() : point.getPositionWorldOnB();
+            const normal = point.get_m_normalWorldOnB();
+            const sign = swapped ? -1 : 1;
+
+            points.push({
+                positionOnA: [onA.x(), onA.y(), onA.z()],
+                positionOnB: [onB.x(), onB.y(), onB.z()],
+                normalOnB: [normal.x() * sign, normal.y() * sign, normal.z() * sign],
+                impulse: point.getAppliedImpulse(),
+                distance: point.getDistance()
+            });
+        }
+    }
+
+    return contacts;
+}
+
+/**
+ * Check whether a manifold point is close enough or took an impulse during the step
+ * @param {Ammo.btManifoldPoint} point - Contact point from the last step
+ * @returns {boolean} True if the bodies touch at the point
+ */
+function isTouching(point) {
+    return point.getDistance() <= CONTACT_DISTANCE_THRESHOLD || point.getAppliedImpulse() > 0;
+}
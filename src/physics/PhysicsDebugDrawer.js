@@ -0,0 +1,225 @@
+import * as THREE from 'three';
+
+// btIDebugDraw::DebugDrawModes
+const DBG_DRAW_WIREFRAME = 1;
+const DBG_DRAW_AABB = 2;
+const DBG_DRAW_CONTACT_POINTS = 8;
+const DBG_DRAW_CONSTRAINTS = 1 << 11;
+
+// Length of the normal drawn at each contact point (m)
+const CONTACT_NORMAL_LENGTH = 0.1;
+
+// Line vertices allocated up front; the buffer doubles whenever it fills
+const INITIAL_VERTEX_CAPACITY = 8192;
+
+/**
+ * PhysicsDebugDrawer - Draws the Ammo.js world as Three.js lines over the scene
+ * Bullet colours shapes by sleep state: white when active, green when asleep.
+ */
+export class PhysicsDebugDrawer {
+    /**
+     * @param {PhysicsWorld} physicsWorld - Initialized physics world to draw
+     * @param {THREE.Scene} scene - Scene the lines are added to
+     * @param {Object} [options] - What to draw
+     * @param {boolean} [options.shapes=true] - Collision shape wireframes
+     * @param {boolean} [options.aabbs=true] - Bounding boxes
+     * @param {boolean} [options.contacts=true] - Contact points and normals
+     * @param {boolean} [options.constraints=true] - Constraint frames
+     */
+    constructor(physicsWorld, scene, options = {}) {
+        this.physicsWorld = physicsWorld;
+        this.scene = scene;
+        this.Ammo = physicsWorld.localAmmo;
+        this.debugDrawModes = 0;
+        this.vertexCount = 0;
+        this.capacity = 0;
+        this.positions = null;
+        this.colors = null;
+
+        this.setOptions({
+            shapes: options.shapes !== false,
+            aabbs: options.aabbs !== false,
+            contacts: options.contacts !== false,
+            constraints: options.constraints !== false
+        });
+
+        this.material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            depthTest: false,
+            transparent: true
+        });
+        this.lines = new THREE.LineSegments(new THREE.BufferGeometry(), this.material);
+        this.lines.frustumCulled = false;
+        this.lines.renderOrder = 999;
+        this.lines.visible = false;
+        this._allocate(INITIAL_VERTEX_CAPACITY);
+        this.scene.add(this.lines);
+
+        this.drawer = this._createAmmoDrawer();
+        this.physicsWorld.world.setDebugDrawer(this.drawer);
+    }
+
+    /**
+     * Choose which parts of the world are drawn
+     * @param {Object} options - Flags as accepted by the constructor
+     */
+    setOptions(options) {
+        const flags = {
+            shapes: DBG_DRAW_WIREFRAME,
+            aabbs: DBG_DRAW_AABB,
+            contacts: DBG_DRAW_CONTACT_POINTS,
+            constraints: DBG_DRAW_CONSTRAINTS
+        };
+
+        Object.keys(flags).forEach(name => {
+            if (options[name] === undefined) return;
+            if (options[name]) {
+                this.debugDrawModes |= flags[name];
+            } else {
+                this.debugDrawModes &= ~flags[name];
+            }
+        });
+    }
+
+    /**
+     * Redraw the lines from the current physics state
+     * Call once per rendered frame, after interpolation.
+     */
+    update() {
+        const enabled = this.physicsWorld.debugMode && this.physicsWorld.initialized;
+        this.lines.visible = enabled;
+        if (!enabled) return;
+
+        try {
+            this.vertexCount = 0;
+            this.physicsWorld.world.debugDrawWorld();
+
+            const geometry = this.lines.geometry;
+            geometry.setDrawRange(0, this.vertexCount);
+            geometry.attributes.position.needsUpdate = true;
+            geometry.attributes.color.needsUpdate = true;
+        } catch (error) {
+            console.error('Error drawing physics debug lines:', error);
+        }
+    }
+
+    /**
+     * Build the JavaScript implementation of btIDebugDraw
+     * @returns {Ammo.DebugDrawer} Drawer to hand to the dynamics world
+     * @private
+     */
+    _createAmmoDrawer() {
+        const Ammo = this.Ammo;
+        const drawer = new Ammo.DebugDrawer();
+
+        // Ammo.js passes every argument as a raw pointer
+        drawer.drawLine = (fromPointer, toPointer, colorPointer) => {
+            const from = Ammo.wrapPointer(fromPointer, Ammo.btVector3);
+            const to = Ammo.wrapPointer(toPointer, Ammo.btVector3);
+            const color = Ammo.wrapPointer(colorPointer, Ammo.btVector3);
+            this._addLine(
+                from.x(), from.y(), from.z(),
+                to.x(), to.y(), to.z(),
+                color.x(), color.y(), color.z()
+            );
+        };
+
+        drawer.drawContactPoint = (pointPointer, normalPointer, distance, lifeTime, colorPointer) => {
+            const point = Ammo.wrapPointer(pointPointer, Ammo.btVector3);
+            const normal = Ammo.wrapPointer(normalPointer, Ammo.btVector3);
+            const color = Ammo.wrapPointer(colorPointer, Ammo.btVector3);
+            const x = point.x();
+            const y = point.y();
+            const z = point.z();
+            this._addLine(
+                x, y, z,
+                x + normal.x() * CONTACT_NORMAL_LENGTH,
+                y + normal.y() * CONTACT_NORMAL_LENGTH,
+                z + normal.z() * CONTACT_NORMAL_LENGTH,
+                color.x(), color.y(), color.z()
+            );
+        };
+
+        drawer.reportErrorWarning = (warningPointer) => {
+            console.warn('Ammo.js debug drawer:', Ammo.UTF8ToString(warningPointer));
+        };
+
+        drawer.draw3dText = () => {};
+
+        drawer.setDebugMode = (debugDrawModes) => {
+            this.debugDrawModes = debugDrawModes;
+        };
+
+        drawer.getDebugMode = () => this.debugDrawModes;
+
+        return drawer;
+    }
+
+    /**
+     * Append one line segment to the vertex buffers
+     * @private
+     */
+    _addLine(x1, y1, z1, x2, y2, z2, r, g, b) {
+        if (this.vertexCount + 2 > this.capacity) {
+            this._allocate(this.capacity * 2);
+        }
+
+        const i = this.vertexCount * 3;
+        this.positions[i] = x1;
+        this.positions[i + 1] = y1;
+        this.positions[i + 2] = z1;
+        this.positions[i + 3] = x2;
+        this.positions[i + 4] = y2;
+        this.positions[i + 5] = z2;
+        this.colors[i] = r;
+        this.colors[i + 1] = g;
+        this.colors[i + 2] = b;
+        this.colors[i + 3] = r;
+        this.colors[i + 4] = g;
+        this.colors[i + 5] = b;
+        this.vertexCount += 2;
+    }
+
+    /**
+     * Replace the line geometry with a larger one, keeping the lines drawn so far
+     * @param {number} capacity - Number of vertices to make room for
+     * @private
+     */
+    _allocate(capacity) {
+        const positions = new Float32Array(capacity * 3);
+        const colors = new Float32Array(capacity * 3);
+        if (this.positions) {
+            positions.set(this.positions);
+            colors.set(this.colors);
+        }
+
+        // A fresh geometry avoids leaking GPU buffers sized for the old arrays
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, 0);
+
+        this.lines.geometry.dispose();
+        this.lines.geometry = geometry;
+        this.positions = positions;
+        this.colors = colors;
+        this.capacity = capacity;
+    }
+
+    /**
+     * Remove the lines from the scene and detach from the physics world
+     */
+    dispose() {
+        if (this.physicsWorld.world) {
+            this.physicsWorld.world.setDebugDrawer(null);
+        }
+        if (this.drawer) {
+            this.Ammo.destroy(this.drawer);
+            this.drawer = null;
+        }
+
+        this.scene.remove(this.lines);
+        this.lines.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * PhysicsMaterials - Named surface properties shared by every physics body
+ * Where two materials touch, Bullet multiplies their values (see combinePhysicsMaterials).
+ */
+
+// Bullet clamps combined friction to this value
+const MAX_COMBINED_FRICTION = 10;
+
+// Material given to bodies that ask for an unknown one
+export const DEFAULT_MATERIAL = 'rock';
+
+export const PHYSICS_MATERIALS = {
+    grass: {
+        friction: 0.8,
+        rollingFriction: 0.1,
+        restitution: 0.1,
+        linearDamping: 0,
+        angularDamping: 0
+    },
+    mud: {
+        friction: 1.0,
+        rollingFriction: 0.5,
+        restitution: 0,
+        linearDamping: 0,
+        angularDamping: 0
+    },
+    sand: {
+        friction: 0.9,
+        rollingFriction: 0.3,
+        restitution: 0.05,
+        linearDamping: 0,
+        angularDamping: 0
+    },
+    ice: {
+        friction: 0.05,
+        rollingFriction: 0.01,
+        restitution: 0.05,
+        linearDamping: 0,
+        angularDamping: 0
+    },
+    rock: {
+        friction: 0.7,
+        rollingFriction: 0.05,
+        restitution: 0.4,
+        linearDamping: 0,
+        angularDamping: 0
+    },
+    thorn: {
+        friction: 1.2,
+        rollingFriction: 0.3,
+        restitution: 0.1,
+        linearDamping: 0,
+        angularDamping: 0
+    },
+    wood: {
+        friction: 0.6,
+        rollingFriction: 0.05,
+        restitution: 0.25,
+        linearDamping: 0,
+        angularDamping: 0
+    },
+    dung: {
+        friction: 0.7,
+        rollingFriction: 0.1,
+        restitution: 0.3,
+        linearDamping: 0.5,
+        angularDamping: 0.5
+    }
+};
+
+/**
+ * Add or replace a material
+ * @param {string} name - Material name
+ * @param {Object} properties - friction, rollingFriction, restitution, linearDamping, angularDamping;
+ *     missing values are taken from the default material
+ */
+export function registerPhysicsMaterial(name, properties) {
+    PHYSICS_MATERIALS[name] = { ...PHYSICS_MATERIALS[DEFAULT_MATERIAL], ...properties };
+}
+
+/**
+ * Look up a material by name
+ * @param {string} name - Material name
+ * @returns {Object} The material, or the default material if the name is unknown
+ */
+export function getPhysicsMaterial(name) {
+    if (!(name in PHYSICS_MATERIALS)) {
+        console.warn(`Unknown physics material "${name}", using "${DEFAULT_MATERIAL}"`);
+        return PHYSICS_MATERIALS[DEFAULT_MATERIAL];
+    }
+    return PHYSICS_MATERIALS[name];
+}
+
+/**
+ * Set a body's friction, rolling friction, restitution and damping from a material
+ * @param {Ammo.btRigidBody} body - Body to configure
+ * @param {string} name - Material name
+ */
+export function applyPhysicsMaterial(body, name) {
+    const material = getPhysicsMaterial(name);
+    body.setFriction(material.friction);
+    body.setRollingFriction(material.rollingFriction);
+    body.setRestitution(material.restitution);
+    body.setDamping(material.linearDamping, material.angularDamping);
+}
+
+/**
+ * Work out the values Bullet uses where two materials touch
+ * @param {string} a - First material name
+ * @param {string} b - Second material name
+ * @returns {Object} { friction, rollingFriction, restitution }
+ */
+export function combinePhysicsMaterials(a, b) {
+    const first = getPhysicsMaterial(a);
+    const second = getPhysicsMaterial(b);
+
+    return {
+        friction: Math.min(first.friction * second.friction, MAX_COMBINED_FRICTION),
+        rollingFriction: first.rollingFriction * second.rollingFriction,
+        restitution: first.restitution * second.restitution
+    };
+}
@@ -0,0 +1,8 @@
+import { PhysicsWorkerHost } from './PhysicsWorkerHost';
+
+/**
+ * PhysicsWorker - Web Worker entry point for PhysicsWorld's worker mode
+ */
+const host = new PhysicsWorkerHost((message, transfer) => self.postMessage(message, transfer));
+
+self.onmessage = (event) => host.handleMessage(event.data);
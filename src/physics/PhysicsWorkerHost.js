@@ -0,0 +1,188 @@
+import * as Ammo from 'ammojs-typed';
+import { collectContacts } from './ContactManifolds';
+
+// Floats per body in a state message: position, quaternion, linear and angular velocity
+export const BODY_STATE_SIZE = 13;
+
+/**
+ * PhysicsWorkerHost - Owns the Ammo.js world inside the physics worker
+ * Replays recorded commands, steps the world and posts back body state and contacts.
+ */
+export class PhysicsWorkerHost {
+    /**
+     * @param {Function} post - Sends (message, transferList) to the main thread
+     */
+    constructor(post) {
+        this.post = post;
+        this.Ammo = null;
+        this.world = null;
+        this.objects = new Map(); // Remote ID -> Ammo.js object
+        this.bodies = new Map(); // Body ID -> Ammo.js body
+        this.idsByPointer = new Map(); // Ammo.js body pointer -> body ID
+        this.heaps = new Map(); // Remote ID -> heap allocation owned by that object
+        this._tmpTransform = null;
+    }
+
+    /**
+     * Handle a message from the main thread
+     * @param {Object} message - { type: 'init' | 'commands', ... }
+     */
+    async handleMessage(message) {
+        try {
+            switch (message.type) {
+                case 'init':
+                    await this.init(message.gravity);
+                    this.post({ type: 'ready' });
+                    break;
+                case 'commands':
+                    message.commands.forEach(command => this.execute(command));
+                    break;
+            }
+        } catch (error) {
+            console.error('Physics worker error:', error);
+            this.post({ type: 'error', message: String(error && error.message ? error.message : error) });
+        }
+    }
+
+    /**
+     * Create the dynamics world
+     * @param {number[]} gravity - Gravity as [x, y, z]
+     */
+    async init(gravity) {
+        this.Ammo = await Ammo.default();
+
+        const collisionConfiguration = new this.Ammo.btDefaultCollisionConfiguration();
+        const dispatcher = new this.Ammo.btCollisionDispatcher(collisionConfiguration);
+        const broadphase = new this.Ammo.btDbvtBroadphase();
+        const solver = new this.Ammo.btSequentialImpulseConstraintSolver();
+        this.world = new this.Ammo.btDiscreteDynamicsWorld(dispatcher, broadphase, solver, collisionConfiguration);
+        this.world.setGravity(new this.Ammo.btVector3(gravity[0], gravity[1], gravity[2]));
+        this._tmpTransform = new this.Ammo.btTransform();
+    }
+
+    /**
+     * Replay one recorded command
+     * @param {Object} command - Command from AmmoRecorder or PhysicsWorld
+     */
+    execute(command) {
+        switch (command.op) {
+            case 'new': {
+                const args = this._decode(command.args);
+                if (command.heap) {
+                    const pointer = this.Ammo._malloc(command.heap.length * 4);
+                    this.Ammo.HEAPF32.set(command.heap, pointer / 4);
+                    this.heaps.set(command.id, pointer);
+                    args[2] = pointer;
+                }
+                this.objects.set(command.id, new this.Ammo[command.className](...args));
+                break;
+            }
+            case 'get':
+                this.objects.set(command.id, this._call(command));
+                break;
+            case 'call': {
+                const result = this._call(command);
+                if (command.result !== undefined) {
+                    this.objects.set(command.result, result);
+                }
+                break;
+            }
+            case 'destroy':
+                this.Ammo.destroy(this.objects.get(command.target));
+                this.objects.delete(command.target);
+                if (this.heaps.has(command.target)) {
+                    this.Ammo._free(this.heaps.get(command.target));
+                    this.heaps.delete(command.target);
+                }
+                break;
+            case 'addRigidBody': {
+                const body = this.objects.get(command.body);
+                this.world.addRigidBody(body, command.group, command.mask);
+                this.bodies.set(command.id, body);
+                this.idsByPointer.set(this.Ammo.getPointer(body), command.id);
+                break;
+            }
+            case 'readdRigidBody': {
+                const body = this.bodies.get(command.id);
+                this.world.removeRigidBody(body);
+                this.world.addRigidBody(body, command.group, command.mask);
+                break;
+            }
+            case 'removeRigidBody': {
+                const body = this.bodies.get(command.id);
+                this.world.removeRigidBody(body);
+                this.bodies.delete(command.id);
+                this.idsByPointer.delete(this.Ammo.getPointer(body));
+                break;
+            }
+            case 'addConstraint':
+                this.world.addConstraint(this.objects.get(command.constraint), command.disableCollisions);
+                break;
+            case 'removeConstraint':
+                this.world.removeConstraint(this.objects.get(command.constraint));
+                break;
+            case 'step':
+                this.world.stepSimulation(command.deltaTime, 0);
+                this._postState(command.step);
+                break;
+            default:
+                console.warn('Unknown physics worker command:', command.op);
+        }
+    }
+
+    /**
+     * Send every registered body's state and the step's contacts to the main thread
+     * @param {number} step - Number of the step, echoed so stale results can be told apart
+     * @private
+     */
+    _postState(step) {
+        const ids = new Int32Array(this.bodies.size);
+        const state = new Float64Array(this.bodies.size * BODY_STATE_SIZE);
+
+        let index = 0;
+        this.bodies.forEach((body, id) => {
+            const offset = index * BODY_STATE_SIZE;
+            body.getMotionState().getWorldTransform(this._tmpTransform);
+            const p = this._tmpTransform.getOrigin();
+            const q = this._tmpTransform.getRotation();
+            const v = body.getLinearVelocity();
+            const w = body.getAngularVelocity();
+
+            ids[index] = id;
+            state[offset] = p.x();
+            state[offset + 1] = p.y();
+            state[offset + 2] = p.z();
+            state[offset + 3] = q.x();
+            state[offset + 4] = q.y();
+            state[offset + 5] = q.z();
+            state[offset + 6] = q.w();
+            state[offset + 7] = v.x();
+            state[offset + 8] = v.y();
+            state[offset + 9] = v.z();
+            state[offset + 10] = w.x();
+            state[offset + 11] = w.y();
+            state[offset + 12] = w.z();
+            index++;
+        });
+
+        const contacts = Array.from(collectContacts(this.Ammo, this.world, this.idsByPointer).values());
+        this.post({ type: 'state', step, ids, state, contacts }, [ids.buffer, state.buffer]);
+    }
+
+    /**
+     * Call a method on a replayed object
+     * @private
+     */
+    _call(command) {
+        const target = this.objects.get(command.target);
+        return target[command.method](...this._decode(command.args));
+    }
+
+    /**
+     * Swap remote references in an argument list for the replayed objects
+     * @private
+     */
+    _decode(args) {
+        return args.map(arg => (arg && typeof arg === 'object' && 'ref' in arg ? this.objects.get(arg.ref) : arg));
+    }
+}
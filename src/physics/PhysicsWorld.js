@@ -1,18 +1,74 @@
 import * as Ammo from 'ammojs-typed';
 import * as THREE from 'three';
+import { DEFAULT_LAYER, getLayerGroup, getLayerMask, resolveLayerMask } from './CollisionLayers';
+import { applyPhysicsMaterial, getPhysicsMaterial } from './PhysicsMaterials';
+import { CONTACT_DISTANCE_THRESHOLD, collectContacts } from './ContactManifolds';
+import { AmmoRecorder } from './AmmoRecorder';
+import { AmmoScratchPool } from './AmmoScratchPool';
+import { AmmoTracker } from './AmmoTracker';
+import { BODY_STATE_SIZE } from './PhysicsWorkerHost';
+
+// btCollisionObject::CF_NO_CONTACT_RESPONSE
+const CF_NO_CONTACT_RESPONSE = 4;
+
+// btCollisionObject activation state of a body put to sleep
+const ISLAND_SLEEPING = 2;
+
+// Count live Ammo.js objects in development builds
+const TRACK_ALLOCATIONS_BY_DEFAULT = Boolean(import.meta.env && import.meta.env.DEV);
 
 /**
  * PhysicsWorld - Manages the physics simulation using Ammo.js
+ * In worker mode a local mirror of the world follows the worker's results, up to a step behind.
  */
 export class PhysicsWorld {
-    constructor() {
-        this.Ammo = null;
+    /**
+     * @param {Object} [options] - World options
+     * @param {boolean} [options.useWorker=false] - Step the simulation in a Web Worker
+     * @param {boolean} [options.trackAllocations] - Count live Ammo.js objects by class, on by default in development builds
+     */
+    constructor(options = {}) {
+        this.Ammo = null; // Ammo.js as used by entities; records changes in worker mode
+        this.localAmmo = null; // Ammo.js module of this thread, for objects never sent to the worker
         this.world = null;
-        this.rigidBodies = [];
+        this.bodies = new Map(); // Body ID -> { id, body, shape, motionState, mesh, owner, ... }
         this.initialized = false;
         this.initPromise = null;
         this.isInitializing = false;
-        this.debugMode = true;
+        this.debugMode = false; // Draw the world through a PhysicsDebugDrawer
+        this.gravity = new THREE.Vector3(0, -9.81, 0);
+        
+        // Contact events
+        this.contactListeners = new Map(); // Body ID (null = every body) -> Set of callbacks
+        this._activeContacts = new Map(); // Pair key -> IDs of the touching bodies
+        
+        // Registry bookkeeping
+        this._nextBodyId = 1;
+        this._idsByPointer = new Map(); // Ammo.js body pointer -> body ID
+        this._shapeRefs = new Map(); // Ammo.js shape pointer -> number of bodies using it
+        this._tmpTransform = null;
+        
+        // Reused Ammo.js objects for queries
+        this._queryFrom = null;
+        this._queryTo = null;
+        this._queryRotation = null;
+        this._queryTransform = null;
+        this._queryObject = null;
+        
+        // Ammo.js object lifetimes
+        this.scratch = null; // AmmoScratchPool for temporaries, reset every step
+        this.trackAllocations = options.trackAllocations !== undefined
+            ? !!options.trackAllocations
+            : TRACK_ALLOCATIONS_BY_DEFAULT;
+        this._tracker = null;
+        this._worldParts = []; // Objects the dynamics world was built from
+        
+        // Worker mode
+        this.useWorker = !!options.useWorker;
+        this.worker = null;
+        this._recorder = null;
+        this._workerSteps = 0; // Steps sent to the worker so far
+        this._staleWorkerSteps = 0; // Results of steps up to this one are ignored
         
         // Don't initialize in constructor
     }
@@ -57,9 +113,23 @@ export class PhysicsWorld {
 
             console.log('Starting Ammo.js initialization...');
             // Initialize Ammo.js using the default export
-            this.Ammo = await Ammo.default();
+            this.localAmmo = await Ammo.default();
             console.log('Ammo.js initialized successfully');
             
+            if (this.useWorker) {
+                this._recorder = new AmmoRecorder(this.localAmmo);
+                this.Ammo = this._recorder.namespace;
+                await this._startWorker();
+            } else {
+                this.Ammo = this.localAmmo;
+            }
+            
+            if (this.trackAllocations) {
+                this._tracker = new AmmoTracker(this.Ammo);
+                this.Ammo = this._tracker.namespace;
+            }
+            this.scratch = new AmmoScratchPool(this.Ammo);
+            
             // Create physics world
             this.initializePhysics();
         } catch (error) {
@@ -78,28 +148,38 @@ export class PhysicsWorld {
             console.log('Creating physics world...');
             
             // Create collision configuration
-            const collisionConfiguration = new this.Ammo.btDefaultCollisionConfiguration();
+            const collisionConfiguration = new this.localAmmo.btDefaultCollisionConfiguration();
             
             // Create dispatcher
-            const dispatcher = new this.Ammo.btCollisionDispatcher(collisionConfiguration);
+            const dispatcher = new this.localAmmo.btCollisionDispatcher(collisionConfiguration);
             
             // Create broadphase
-            const broadphase = new this.Ammo.btDbvtBroadphase();
+            const broadphase = new this.localAmmo.btDbvtBroadphase();
             
             // Create solver
-            const solver = new this.Ammo.btSequentialImpulseConstraintSolver();
+            const solver = new this.localAmmo.btSequentialImpulseConstraintSolver();
             
             // Create world
-            this.world = new this.Ammo.btDiscreteDynamicsWorld(
+            this.world = new this.localAmmo.btDiscreteDynamicsWorld(
                 dispatcher,
                 broadphase,
                 solver,
                 collisionConfiguration
             );
+            this._worldParts = [solver, broadphase, dispatcher, collisionConfiguration];
+            
+            this._tmpTransform = new this.localAmmo.btTransform();
+            this._queryFrom = new this.localAmmo.btVector3(0, 0, 0);
+            this._queryTo = new this.localAmmo.btVector3(0, 0, 0);
+            this._queryRotation = new this.localAmmo.btQuaternion(0, 0, 0, 1);
+            this._queryTransform = new this.localAmmo.btTransform();
+            this._queryObject = new this.localAmmo.btGhostObject();
             
             // Set up gravity
             console.log('Setting up gravity...');
-            this.world.setGravity(new this.Ammo.btVector3(0, -9.81, 0));
+            const gravity = new this.localAmmo.btVector3(this.gravity.x, this.gravity.y, this.gravity.z);
+            this.world.setGravity(gravity);
+            this.localAmmo.destroy(gravity);
             
             // Mark as initialized
             this.initialized = true;
@@ -111,93 +191,361 @@ export class PhysicsWorld {
     }
 
     /**
-     * Update physics simulation
-     * @param {number} deltaTime - Time since last update in seconds
+     * Turn debug drawing on or off
+     * @param {boolean} [enabled] - New state, toggles when omitted
+     * @returns {boolean} Whether debug drawing is now on
+     */
+    setDebugMode(enabled = !this.debugMode) {
+        this.debugMode = enabled;
+        return this.debugMode;
+    }
+
+    /**
+     * Count the live Ammo.js objects created through this.Ammo, by class
+     * Only available when allocation tracking is on.
+     * @returns {Object<string, number>|null} Class name -> live objects, or null when not tracking
+     */
+    getLiveObjects() {
+        return this._tracker ? this._tracker.getLiveObjects() : null;
+    }
+
+    /**
+     * Log the live Ammo.js objects created through this.Ammo, by class
+     * @param {string} [label] - What the report is about
+     * @returns {Object<string, number>|null} The logged counts, or null when not tracking
+     */
+    reportLiveObjects(label) {
+        if (!this._tracker) {
+            console.warn('Ammo.js allocation tracking is off');
+            return null;
+        }
+        return this._tracker.report(label);
+    }
+
+    /**
+     * Advance the physics simulation by one fixed step
+     * @param {number} deltaTime - Fixed step length in seconds
      */
     update(deltaTime) {
         if (!this.initialized) return;
         
         try {
-            // Update physics simulation
-            this.world.stepSimulation(deltaTime, 10);
+            this.scratch.reset();
             
-            // Update rigid bodies
-            for (let i = 0; i < this.rigidBodies.length; i++) {
-                const objThree = this.rigidBodies[i];
-                const objAmmo = objThree.userData.physicsBody;
+            if (this.worker) {
+                this._recorder.push({ op: 'step', deltaTime, step: ++this._workerSteps });
+                this.worker.postMessage({ type: 'commands', commands: this._recorder.takeCommands() });
+                return;
+            }
+            
+            // The game loop already runs at a fixed rate, so step exactly once
+            // (maxSubSteps = 0) instead of letting Bullet accumulate time itself
+            this.world.stepSimulation(deltaTime, 0);
+            
+            // Record the last two states of every rigid body for interpolation
+            this.bodies.forEach(record => {
+                const ms = record.body.getMotionState();
+                if (!ms) return;
                 
-                if (objAmmo) {
-                    const ms = objAmmo.getMotionState();
-                    if (ms) {
-                        ms.getWorldTransform(objThree.userData.tmpTrans);
-                        const p = objThree.userData.tmpTrans.getOrigin();
-                        const q = objThree.userData.tmpTrans.getRotation();
-                        
-                        // Update position and rotation
-                        objThree.position.set(p.x(), p.y(), p.z());
-                        objThree.quaternion.set(q.x(), q.y(), q.z(), q.w());
-                    }
+                ms.getWorldTransform(this._tmpTransform);
+                const p = this._tmpTransform.getOrigin();
+                const q = this._tmpTransform.getRotation();
+                
+                record.previousPosition.copy(record.currentPosition);
+                record.previousQuaternion.copy(record.currentQuaternion);
+                record.currentPosition.set(p.x(), p.y(), p.z());
+                record.currentQuaternion.set(q.x(), q.y(), q.z(), q.w());
+            });
+            
+            const withPoints = this.contactListeners.size > 0;
+            this._dispatchContacts(collectContacts(this.localAmmo, this.world, this._idsByPointer, withPoints));
+        } catch (error) {
+            console.error('Error updating physics:', error);
+        }
+    }
+
+    /**
+     * Spawn the physics worker and wait until its world exists
+     * @returns {Promise} Resolves once the worker is ready
+     * @private
+     */
+    _startWorker() {
+        this.worker = new Worker(new URL('./PhysicsWorker.js', import.meta.url), { type: 'module' });
+        
+        return new Promise((resolve, reject) => {
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+                switch (message.type) {
+                    case 'ready':
+                        console.log('Physics worker ready');
+                        resolve();
+                        break;
+                    case 'state':
+                        this._applyWorkerState(message);
+                        break;
+                    case 'error':
+                        console.error('Physics worker error:', message.message);
+                        break;
+                }
+            };
+            this.worker.onerror = (error) => {
+                console.error('Failed to run physics worker:', error);
+                reject(error);
+            };
+            this.worker.postMessage({ type: 'init', gravity: this.gravity.toArray() });
+        });
+    }
+
+    /**
+     * Move the local mirror bodies to the worker's results and emit its contacts
+     * @param {Object} message - { step, ids, state, contacts } posted after a worker step
+     * @private
+     */
+    _applyWorkerState(message) {
+        if (!this.initialized || message.step <= this._staleWorkerSteps) return;
+        
+        try {
+            const { ids, state } = message;
+            const transform = this._tmpTransform;
+            const vector = this._queryFrom;
+            const rotation = this._queryRotation;
+            
+            for (let i = 0; i < ids.length; i++) {
+                // Bodies removed since the step was sent are skipped
+                const record = this.bodies.get(ids[i]);
+                if (!record) continue;
+                
+                const offset = i * BODY_STATE_SIZE;
+                record.previousPosition.copy(record.currentPosition);
+                record.previousQuaternion.copy(record.currentQuaternion);
+                record.currentPosition.fromArray(state, offset);
+                record.currentQuaternion.fromArray(state, offset + 3);
+                
+                // Calls on the unwrapped body are not sent back to the worker
+                const body = this._recorder.unwrap(record.body);
+                transform.setIdentity();
+                vector.setValue(state[offset], state[offset + 1], state[offset + 2]);
+                transform.setOrigin(vector);
+                rotation.setValue(state[offset + 3], state[offset + 4], state[offset + 5], state[offset + 6]);
+                transform.setRotation(rotation);
+                body.setWorldTransform(transform);
+                const ms = body.getMotionState();
+                if (ms) {
+                    ms.setWorldTransform(transform);
                 }
+                
+                vector.setValue(state[offset + 7], state[offset + 8], state[offset + 9]);
+                body.setLinearVelocity(vector);
+                vector.setValue(state[offset + 10], state[offset + 11], state[offset + 12]);
+                body.setAngularVelocity(vector);
+                
+                // Keep the mirror's broadphase current for queries
+                this.world.updateSingleAabb(body);
             }
+            
+            const contacts = new Map();
+            message.contacts.forEach(contact => {
+                if (this.bodies.has(contact.idA) && this.bodies.has(contact.idB)) {
+                    contacts.set(`${contact.idA}:${contact.idB}`, contact);
+                }
+            });
+            this._dispatchContacts(contacts);
         } catch (error) {
-            console.error('Error updating physics:', error);
+            console.error('Error applying physics worker state:', error);
+        }
+    }
+
+    /**
+     * Subscribe to contacts involving a body
+     * Events have a type of 'begin', 'stay' or 'end', and their point normals point into the watched body.
+     * @param {number|Ammo.btRigidBody|null} handle - Body ID or body to watch, or null for every contact
+     * @param {Function} callback - Called once per step for each contact of the body
+     * @returns {Function} Call to unsubscribe
+     */
+    onContact(handle, callback) {
+        let key = null;
+        if (handle !== null && handle !== undefined) {
+            const record = this._resolveRecord(handle);
+            if (!record) {
+                console.warn('Cannot listen for contacts of an unregistered body');
+                return () => {};
+            }
+            key = record.id;
+        }
+        
+        if (!this.contactListeners.has(key)) {
+            this.contactListeners.set(key, new Set());
+        }
+        this.contactListeners.get(key).add(callback);
+        
+        return () => {
+            const listeners = this.contactListeners.get(key);
+            if (!listeners) return;
+            
+            listeners.delete(callback);
+            if (listeners.size === 0) {
+                this.contactListeners.delete(key);
+            }
+        };
+    }
+
+    /**
+     * Compare this step's touching pairs with the last step's and emit begin/stay/end events
+     * @param {Map<string, Object>} currentContacts - Pair key -> { idA, idB, points } from collectContacts()
+     * @private
+     */
+    _dispatchContacts(currentContacts) {
+        if (this.contactListeners.size > 0) {
+            currentContacts.forEach((contact, key) => {
+                this._emitContact(this._activeContacts.has(key) ? 'stay' : 'begin', contact);
+            });
+            this._activeContacts.forEach((contact, key) => {
+                if (!currentContacts.has(key)) {
+                    this._emitContact('end', { ...contact, points: [] });
+                }
+            });
         }
+        
+        this._activeContacts = currentContacts;
+    }
+
+    /**
+     * Build the event for each side of a contact and notify its listeners
+     * @param {string} type - 'begin', 'stay' or 'end'
+     * @param {Object} contact - Body IDs and contact points of the touching pair
+     * @private
+     */
+    _emitContact(type, contact) {
+        const sides = [
+            { self: contact.idA, other: contact.idB },
+            { self: contact.idB, other: contact.idA }
+        ];
+        
+        sides.forEach((side, index) => {
+            const listeners = this.contactListeners.get(side.self);
+            const globalListeners = index === 0 ? this.contactListeners.get(null) : null;
+            if (!listeners && !globalListeners) return;
+            
+            const self = this.bodies.get(side.self);
+            const other = this.bodies.get(side.other);
+            
+            // removeRigidBody() ends a removed body's contacts before forgetting it,
+            // so this only skips bodies added to the Ammo world directly
+            if (!self || !other) return;
+            
+            const selfIsA = side.self === contact.idA;
+            const sign = selfIsA ? 1 : -1;
+            const event = {
+                type,
+                id: self.id,
+                otherId: other.id,
+                body: self.body,
+                other: other.body,
+                owner: self.owner,
+                otherOwner: other.owner,
+                layer: self.layer,
+                otherLayer: other.layer,
+                material: self.material,
+                otherMaterial: other.material,
+                points: [],
+                impulse: 0
+            };
+            
+            contact.points.forEach(point => {
+                const position = selfIsA ? point.positionOnA : point.positionOnB;
+                const normal = point.normalOnB;
+                
+                event.points.push({
+                    position: new THREE.Vector3().fromArray(position),
+                    normal: new THREE.Vector3(normal[0] * sign, normal[1] * sign, normal[2] * sign),
+                    impulse: point.impulse,
+                    distance: point.distance
+                });
+                event.impulse += point.impulse;
+            });
+            
+            [listeners, globalListeners].forEach(set => {
+                if (!set) return;
+                set.forEach(callback => {
+                    try {
+                        callback(event);
+                    } catch (error) {
+                        console.error('Error in contact listener:', error);
+                    }
+                });
+            });
+        });
     }
 
     /**
-     * Add a rigid body to the physics world
-     * @param {THREE.Object3D} object - Three.js object to add
+     * Blend every body's mesh between its previous and current physics state
+     * @param {number} alpha - Fraction of a fixed step elapsed since the last update (0-1)
+     */
+    interpolate(alpha) {
+        if (!this.initialized) return;
+        
+        this.bodies.forEach(record => {
+            if (!record.mesh) return;
+            
+            record.mesh.position.lerpVectors(record.previousPosition, record.currentPosition, alpha);
+            record.mesh.quaternion.slerpQuaternions(record.previousQuaternion, record.currentQuaternion, alpha);
+        });
+    }
+
+    /**
+     * Add a rigid body to the physics world, which then owns it until removeRigidBody()
+     * @param {THREE.Object3D|Ammo.btRigidBody} object - Three.js object to build a body for, or an existing Ammo.js body
      * @param {Object} options - Physics options
+     * @param {THREE.Object3D} [options.mesh] - Object driven by an existing Ammo.js body
+     * @param {Object} [options.owner] - Entity the body belongs to, reported in contact events
+     * @param {string} [options.layer='obstacle'] - Collision layer from CollisionLayers
+     * @param {number|string|string[]} [options.collidesWith] - Layers to collide with, defaults to the layer's row of the collision matrix
+     * @param {boolean} [options.sensor=false] - Report overlaps through contact events without any collision response
+     * @param {string} [options.material] - Surface material from PhysicsMaterials; sets friction, restitution and damping
+     * @returns {number|null} ID of the registered body, or null on failure
      */
     addRigidBody(object, options = {}) {
         if (!this.initialized) {
             console.error('Physics world not initialized');
-            return;
+            return null;
         }
         
+        const mark = this.scratch.mark();
         try {
             // Check if the object is a valid Ammo.js rigid body
             if (object && typeof object.getWorldTransform === 'function') {
-                console.log('Adding Ammo.js rigid body to physics world');
-                this.world.addRigidBody(object);
+                if (this._idsByPointer.has(this.Ammo.getPointer(object))) {
+                    console.warn('Rigid body already added to physics world');
+                    return this._idsByPointer.get(this.Ammo.getPointer(object));
+                }
                 
-                // Create a temporary Three.js object to track the rigid body
-                const tempObject = new THREE.Object3D();
-                tempObject.userData.physicsBody = object;
-                tempObject.userData.tmpTrans = new this.Ammo.btTransform();
-                this.rigidBodies.push(tempObject);
+                if (options.material) {
+                    applyPhysicsMaterial(object, options.material);
+                }
                 
-                // Debug logging
-                console.log('Added rigid body to physics world. Total bodies:', this.rigidBodies.length);
-                return;
+                return this._addToWorld(object, options.mesh || null, options);
             }
 
             // If it's a Three.js object, create a physics body for it
             if (!object || !object.position) {
                 console.error('Invalid object passed to addRigidBody:', object);
-                return;
+                return null;
             }
 
-            console.log('Adding rigid body for object:', object.uuid);
-            const shape = options.shape || new this.Ammo.btBoxShape(
-                new this.Ammo.btVector3(1, 1, 1)
-            );
+            const shape = options.shape || new this.Ammo.btBoxShape(this.scratch.vector3(1, 1, 1));
             
             const mass = options.mass || 0;
-            const friction = options.friction || 0.5;
-            const restitution = options.restitution || 0.3;
             
-            const transform = new this.Ammo.btTransform();
-            transform.setIdentity();
+            const transform = this.scratch.transform();
             
             const pos = object.position;
-            transform.setOrigin(new this.Ammo.btVector3(pos.x, pos.y, pos.z));
+            transform.setOrigin(this.scratch.vector3(pos.x, pos.y, pos.z));
             
             const quat = object.quaternion;
-            transform.setRotation(new this.Ammo.btQuaternion(quat.x, quat.y, quat.z, quat.w));
+            transform.setRotation(this.scratch.quaternion(quat.x, quat.y, quat.z, quat.w));
             
             const motionState = new this.Ammo.btDefaultMotionState(transform);
-            const localInertia = new this.Ammo.btVector3(0, 0, 0);
+            const localInertia = this.scratch.vector3(0, 0, 0);
             
             if (mass > 0) {
                 shape.calculateLocalInertia(mass, localInertia);
@@ -206,48 +554,995 @@ export class PhysicsWorld {
             const rbInfo = new this.Ammo.btRigidBodyConstructionInfo(mass, motionState, shape, localInertia);
             const body = new this.Ammo.btRigidBody(rbInfo);
             
-            body.setFriction(friction);
-            body.setRestitution(restitution);
+            // Explicit friction and restitution override the material's
+            if (options.material) {
+                applyPhysicsMaterial(body, options.material);
+            } else {
+                body.setFriction(0.5);
+                body.setRestitution(0.3);
+            }
+            if (options.friction !== undefined) {
+                body.setFriction(options.friction);
+            }
+            if (options.restitution !== undefined) {
+                body.setRestitution(options.restitution);
+            }
             
             // Activate the body
             body.activate(true);
             
-            this.world.addRigidBody(body);
-            
-            object.userData.physicsBody = body;
-            object.userData.tmpTrans = new this.Ammo.btTransform();
-            
-            this.rigidBodies.push(object);
+            const id = this._addToWorld(body, object, options);
             
             this.Ammo.destroy(rbInfo);
-            console.log('Successfully added rigid body for object:', object.uuid);
+            return id;
         } catch (error) {
             console.error('Error adding rigid body:', error);
+            return null;
+        } finally {
+            this.scratch.release(mark);
+        }
+    }
+
+    /**
+     * Add a static sensor volume that reports overlaps without blocking anything
+     * Bodies entering and leaving it raise 'begin' and 'end' contact events.
+     * @param {Ammo.btCollisionShape} shape - Volume shape; the world takes ownership of it
+     * @param {THREE.Vector3} position - Volume centre in world space
+     * @param {Object} [options] - Options as for addRigidBody()
+     * @param {THREE.Quaternion} [options.quaternion] - Volume orientation
+     * @returns {number|null} ID of the trigger, or null on failure
+     */
+    addTrigger(shape, position, options = {}) {
+        if (!this.initialized) {
+            console.error('Physics world not initialized');
+            return null;
+        }
+        
+        const mark = this.scratch.mark();
+        const transform = this.scratch.transform();
+        transform.setOrigin(this.scratch.vector3(position.x, position.y, position.z));
+        
+        const quat = options.quaternion;
+        if (quat) {
+            transform.setRotation(this.scratch.quaternion(quat.x, quat.y, quat.z, quat.w));
+        }
+        
+        const motionState = new this.Ammo.btDefaultMotionState(transform);
+        const rbInfo = new this.Ammo.btRigidBodyConstructionInfo(0, motionState, shape, this.scratch.vector3(0, 0, 0));
+        const body = new this.Ammo.btRigidBody(rbInfo);
+        this.Ammo.destroy(rbInfo);
+        this.scratch.release(mark);
+        
+        return this.addRigidBody(body, {
+            ...options,
+            layer: options.layer || 'trigger',
+            sensor: true
+        });
+    }
+
+    /**
+     * Move a registered body to another collision layer
+     * @param {number|Ammo.btRigidBody|THREE.Object3D} handle - Body ID, body or the mesh it drives
+     * @param {string} layer - New collision layer
+     * @param {number|string|string[]} [collidesWith] - Layers to collide with, defaults to the layer's row of the collision matrix
+     */
+    setCollisionLayer(handle, layer, collidesWith) {
+        const record = this._resolveRecord(handle);
+        if (!record) {
+            console.warn('Cannot change the collision layer of an unregistered body');
+            return;
+        }
+        
+        const filter = this._resolveFilter(record.body, { layer, collidesWith, sensor: record.sensor });
+        
+        // Re-adding the body is the only way to make the broadphase drop stale pairs
+        this.world.removeRigidBody(record.body);
+        this.world.addRigidBody(record.body, filter.group, filter.mask);
+        if (this._recorder) {
+            this._recorder.push({ op: 'readdRigidBody', id: record.id, group: filter.group, mask: filter.mask });
+        }
+        record.layer = filter.layer;
+        record.group = filter.group;
+        record.mask = filter.mask;
+    }
+
+    /**
+     * Get the collision layer of a body
+     * @param {number|Ammo.btRigidBody|THREE.Object3D} handle - Body ID, body or the mesh it drives
+     * @returns {string|null} Layer name, or null if the body is not registered
+     */
+    getCollisionLayer(handle) {
+        const record = this._resolveRecord(handle);
+        return record ? record.layer : null;
+    }
+
+    /**
+     * Get the surface material of a body
+     * @param {number|Ammo.btRigidBody|THREE.Object3D} handle - Body ID, body or the mesh it drives
+     * @returns {Object|null} Material properties, or null if the body was added without a material
+     */
+    getMaterial(handle) {
+        const record = this._resolveRecord(handle);
+        return record && record.material ? getPhysicsMaterial(record.material) : null;
+    }
+
+    /**
+     * List the bodies currently touching or inside a body
+     * Mostly useful for triggers, whose overlaps are otherwise only seen as events.
+     * @param {number|Ammo.btRigidBody|THREE.Object3D} handle - Body ID, body or the mesh it drives
+     * @returns {number[]} IDs of the overlapping bodies as of the last step
+     */
+    getOverlaps(handle) {
+        const record = this._resolveRecord(handle);
+        if (!record) return [];
+        
+        const ids = [];
+        this._activeContacts.forEach(contact => {
+            if (contact.idA === record.id) {
+                ids.push(contact.idB);
+            } else if (contact.idB === record.id) {
+                ids.push(contact.idA);
+            }
+        });
+        return ids;
+    }
+
+    /**
+     * Work out a body's collision group and mask and apply its sensor flag
+     * @param {Ammo.btRigidBody} body - Body about to be added to the world
+     * @param {Object} options - addRigidBody() options
+     * @returns {Object} { layer, group, mask, sensor }
+     * @private
+     */
+    _resolveFilter(body, options) {
+        const layer = options.layer || DEFAULT_LAYER;
+        const sensor = !!options.sensor;
+        const group = getLayerGroup(layer);
+        const mask = options.collidesWith === undefined
+            ? getLayerMask(layer)
+            : resolveLayerMask(options.collidesWith);
+        
+        const flags = body.getCollisionFlags();
+        body.setCollisionFlags(sensor ? flags | CF_NO_CONTACT_RESPONSE : flags & ~CF_NO_CONTACT_RESPONSE);
+        
+        return { layer, group, mask, sensor };
+    }
+
+    /**
+     * Add a body to the world, register it and mirror it into the worker
+     * @param {Ammo.btRigidBody} body - Body to add
+     * @param {THREE.Object3D|null} mesh - Object the body drives
+     * @param {Object} options - addRigidBody() options
+     * @returns {number} ID of the registered body
+     * @private
+     */
+    _addToWorld(body, mesh, options) {
+        const filter = this._resolveFilter(body, options);
+        this.world.addRigidBody(body, filter.group, filter.mask);
+        const id = this._register(body, mesh, options, filter);
+        
+        if (this._recorder) {
+            this._recorder.push({
+                op: 'addRigidBody',
+                body: this._recorder.ref(body),
+                id,
+                group: filter.group,
+                mask: filter.mask
+            });
+        }
+        
+        return id;
+    }
+
+    /**
+     * Create the registry record for a body that is already in the world
+     * @param {Ammo.btRigidBody} body - Body to register
+     * @param {THREE.Object3D|null} mesh - Object the body drives
+     * @param {Object} options - addRigidBody() options
+     * @param {Object} filter - Collision layer, group, mask and sensor flag
+     * @returns {number} ID of the new record
+     * @private
+     */
+    _register(body, mesh, options, filter) {
+        const id = this._nextBodyId++;
+        const shape = body.getCollisionShape();
+        const shapePointer = this.Ammo.getPointer(shape);
+        
+        const record = {
+            id,
+            body,
+            shape,
+            motionState: body.getMotionState(),
+            mesh,
+            owner: options.owner || null,
+            material: options.material || null,
+            layer: filter.layer,
+            group: filter.group,
+            mask: filter.mask,
+            sensor: filter.sensor,
+            previousPosition: new THREE.Vector3(),
+            currentPosition: new THREE.Vector3(),
+            previousQuaternion: new THREE.Quaternion(),
+            currentQuaternion: new THREE.Quaternion()
+        };
+        
+        // Seed the interpolation state from the body's transform
+        body.getMotionState().getWorldTransform(this._tmpTransform);
+        const p = this._tmpTransform.getOrigin();
+        const q = this._tmpTransform.getRotation();
+        record.currentPosition.set(p.x(), p.y(), p.z());
+        record.currentQuaternion.set(q.x(), q.y(), q.z(), q.w());
+        record.previousPosition.copy(record.currentPosition);
+        record.previousQuaternion.copy(record.currentQuaternion);
+        
+        if (mesh) {
+            mesh.position.copy(record.currentPosition);
+            mesh.quaternion.copy(record.currentQuaternion);
+            mesh.userData.physicsId = id;
         }
+        
+        body.setUserIndex(id);
+        this.bodies.set(id, record);
+        this._idsByPointer.set(this.Ammo.getPointer(body), id);
+        this._shapeRefs.set(shapePointer, (this._shapeRefs.get(shapePointer) || 0) + 1);
+        
+        return id;
     }
 
     /**
-     * Remove a rigid body from the physics world
-     * @param {THREE.Object3D} object - Three.js object to remove
+     * Remove a rigid body from the physics world and destroy it
+     * @param {number|Ammo.btRigidBody|THREE.Object3D} handle - Body ID, body or the mesh it drives
      */
-    removeRigidBody(object) {
+    removeRigidBody(handle) {
         if (!this.initialized) return;
         
         try {
-            const index = this.rigidBodies.indexOf(object);
-            if (index > -1) {
-                const body = object.userData.physicsBody;
-                if (body) {
-                    this.world.removeRigidBody(body);
-                    this.Ammo.destroy(body);
+            const record = this._resolveRecord(handle);
+            if (!record) {
+                console.warn('Tried to remove a rigid body that is not in the physics world');
+                return;
+            }
+            
+            // Contacts end with the body; only the bodies left behind hear about it
+            this.contactListeners.delete(record.id);
+            this._activeContacts.forEach((contact, key) => {
+                if (contact.idA === record.id || contact.idB === record.id) {
+                    this._activeContacts.delete(key);
+                    this._emitContact('end', { ...contact, points: [] });
                 }
-                this.rigidBodies.splice(index, 1);
+            });
+
+            const pointer = this.Ammo.getPointer(record.body);
+            this.bodies.delete(record.id);
+            this._idsByPointer.delete(pointer);
+            
+            if (record.mesh && record.mesh.userData.physicsId === record.id) {
+                delete record.mesh.userData.physicsId;
+            }
+            
+            this.world.removeRigidBody(record.body);
+            if (this._recorder) {
+                this._recorder.push({ op: 'removeRigidBody', id: record.id });
+            }
+            this.Ammo.destroy(record.body);
+            if (record.motionState) {
+                this.Ammo.destroy(record.motionState);
+            }
+            
+            const shapePointer = this.Ammo.getPointer(record.shape);
+            const shapeRefs = (this._shapeRefs.get(shapePointer) || 1) - 1;
+            if (shapeRefs > 0) {
+                this._shapeRefs.set(shapePointer, shapeRefs);
+            } else {
+                this._shapeRefs.delete(shapePointer);
+                this.Ammo.destroy(record.shape);
             }
         } catch (error) {
             console.error('Error removing rigid body:', error);
         }
     }
 
+    /**
+     * Look up a body by its ID
+     * @param {number} id - Body ID returned by addRigidBody()
+     * @returns {Ammo.btRigidBody|null} The body, or null if it is not registered
+     */
+    getBody(id) {
+        const record = this.bodies.get(id);
+        return record ? record.body : null;
+    }
+
+    /**
+     * Look up the ID of a registered body
+     * @param {Ammo.btRigidBody} body - Body to look up
+     * @returns {number|null} The body's ID, or null if it is not registered
+     */
+    getBodyId(body) {
+        if (!body) return null;
+        const id = this._idsByPointer.get(this.Ammo.getPointer(body));
+        return id === undefined ? null : id;
+    }
+
+    /**
+     * Get the entity that owns a body
+     * @param {number|Ammo.btRigidBody|THREE.Object3D} handle - Body ID, body or the mesh it drives
+     * @returns {Object|null} The owner passed to addRigidBody(), if any
+     */
+    getOwner(handle) {
+        const record = this._resolveRecord(handle);
+        return record ? record.owner : null;
+    }
+
+    /**
+     * Get the mesh a body drives
+     * @param {number|Ammo.btRigidBody} handle - Body ID or body
+     * @returns {THREE.Object3D|null} The mesh passed to addRigidBody(), if any
+     */
+    getMesh(handle) {
+        const record = this._resolveRecord(handle);
+        return record ? record.mesh : null;
+    }
+
+    /**
+     * Find every body registered to an owner
+     * @param {Object} owner - Entity to look up
+     * @returns {number[]} IDs of the owner's bodies
+     */
+    getBodiesByOwner(owner) {
+        const ids = [];
+        this.bodies.forEach(record => {
+            if (record.owner === owner) {
+                ids.push(record.id);
+            }
+        });
+        return ids;
+    }
+
+    /**
+     * Find the registry record for an ID, body or mesh
+     * @param {number|Ammo.btRigidBody|THREE.Object3D} handle - Value to look up
+     * @returns {Object|null} The matching record
+     * @private
+     */
+    _resolveRecord(handle) {
+        if (handle === null || handle === undefined) return null;
+        
+        if (typeof handle === 'number') {
+            return this.bodies.get(handle) || null;
+        }
+        
+        if (typeof handle.getWorldTransform === 'function') {
+            const id = this._idsByPointer.get(this.Ammo.getPointer(handle));
+            return id === undefined ? null : this.bodies.get(id);
+        }
+        
+        if (handle.userData && handle.userData.physicsId !== undefined) {
+            return this.bodies.get(handle.userData.physicsId) || null;
+        }
+        
+        return null;
+    }
+
+    /**
+     * Let the world know a body's collision shape has changed size
+     * Re-adding the body refreshes its bounds and drops contact points cached for the old shape.
+     * @param {number|Ammo.btRigidBody|THREE.Object3D} handle - Body ID, body or the mesh it drives
+     */
+    updateBodyShape(handle) {
+        const record = this._resolveRecord(handle);
+        if (!record) {
+            console.warn('Cannot update the shape of an unregistered body');
+            return;
+        }
+        
+        this.world.removeRigidBody(record.body);
+        this.world.addRigidBody(record.body, record.group, record.mask);
+        if (this._recorder) {
+            this._recorder.push({ op: 'readdRigidBody', id: record.id, group: record.group, mask: record.mask });
+        }
+    }
+
+    /**
+     * Capture the dynamic state of a body as plain data
+     * The rotation is Bullet's row-major basis matrix, which converts back bit for bit.
+     * @param {number|Ammo.btRigidBody|THREE.Object3D} handle - Body ID, body or the mesh it drives
+     * @returns {Object|null} { position, rotation, linearVelocity, angularVelocity, active }, or null if the body is not registered
+     */
+    getBodyState(handle) {
+        const record = this._resolveRecord(handle);
+        if (!record) return null;
+        
+        const body = record.body;
+        const transform = body.getWorldTransform();
+        const p = transform.getOrigin();
+        const basis = transform.getBasis();
+        const rotation = [];
+        for (let i = 0; i < 3; i++) {
+            const row = basis.getRow(i);
+            rotation.push(row.x(), row.y(), row.z());
+        }
+        const v = body.getLinearVelocity();
+        const w = body.getAngularVelocity();
+        
+        return {
+            position: [p.x(), p.y(), p.z()],
+            rotation,
+            linearVelocity: [v.x(), v.y(), v.z()],
+            angularVelocity: [w.x(), w.y(), w.z()],
+            active: body.isActive()
+        };
+    }
+
+    /**
+     * Move a body to a state captured by getBodyState()
+     * Pending forces are cleared and the mesh is placed without interpolating.
+     * @param {number|Ammo.btRigidBody|THREE.Object3D} handle - Body ID, body or the mesh it drives
+     * @param {Object} state - State from getBodyState()
+     * @returns {boolean} True if the body was found
+     */
+    setBodyState(handle, state) {
+        const record = this._resolveRecord(handle);
+        if (!record) {
+            console.warn('Cannot set the state of an unregistered body');
+            return false;
+        }
+        
+        const body = record.body;
+        const mark = this.scratch.mark();
+        const transform = this.scratch.transform();
+        const [p, r] = [state.position, state.rotation];
+        transform.setFromOpenGLMatrix([
+            r[0], r[3], r[6], 0,
+            r[1], r[4], r[7], 0,
+            r[2], r[5], r[8], 0,
+            p[0], p[1], p[2], 1
+        ]);
+        body.setWorldTransform(transform);
+        const ms = body.getMotionState();
+        if (ms) {
+            ms.setWorldTransform(transform);
+        }
+        
+        // The world-space inertia otherwise keeps the old orientation until the next step
+        body.updateInertiaTensor();
+        body.setLinearVelocity(this.scratch.vector3(...state.linearVelocity));
+        body.setAngularVelocity(this.scratch.vector3(...state.angularVelocity));
+        body.clearForces();
+        
+        // Bodies that never sleep ignore this and stay active
+        if (state.active === false) {
+            body.setActivationState(ISLAND_SLEEPING);
+        } else {
+            body.activate(true);
+        }
+        this.world.updateSingleAabb(body);
+        
+        const q = transform.getRotation();
+        record.currentPosition.fromArray(state.position);
+        record.currentQuaternion.set(q.x(), q.y(), q.z(), q.w());
+        record.previousPosition.copy(record.currentPosition);
+        record.previousQuaternion.copy(record.currentQuaternion);
+        if (record.mesh) {
+            record.mesh.position.copy(record.currentPosition);
+            record.mesh.quaternion.copy(record.currentQuaternion);
+        }
+        this.scratch.release(mark);
+        return true;
+    }
+
+    /**
+     * Capture the state of every dynamic body and which bodies are touching
+     * @returns {Object} { bodies: { [id]: body state }, contacts: [[idA, idB], ...] }
+     */
+    snapshot() {
+        const bodies = {};
+        this.bodies.forEach(record => {
+            if (record.body.isStaticObject()) return;
+            bodies[record.id] = this.getBodyState(record.id);
+        });
+        
+        const contacts = [];
+        this._activeContacts.forEach(contact => contacts.push([contact.idA, contact.idB]));
+        
+        return { bodies, contacts };
+    }
+
+    /**
+     * Put the world back into a state captured by snapshot() from a world built the same way
+     * Bullet's cached contacts are dropped, so the run afterwards is repeatable but not identical.
+     * @param {Object} snapshot - Result of snapshot()
+     * @returns {boolean} True if the snapshot was applied
+     */
+    restore(snapshot) {
+        if (!this.initialized) {
+            console.error('Physics world not initialized');
+            return false;
+        }
+        
+        try {
+            Object.keys(snapshot.bodies).forEach(key => {
+                const id = Number(key);
+                if (!this.bodies.has(id)) {
+                    console.warn('Snapshot body not found in physics world:', id);
+                    return;
+                }
+                this.setBodyState(id, snapshot.bodies[key]);
+            });
+            
+            this._readdBodies();
+            
+            this._activeContacts = new Map();
+            snapshot.contacts.forEach(([idA, idB]) => {
+                if (this.bodies.has(idA) && this.bodies.has(idB)) {
+                    this._activeContacts.set(`${idA}:${idB}`, { idA, idB, points: [] });
+                }
+            });
+            
+            // Steps already on their way back from the worker predate the restore
+            this._staleWorkerSteps = this._workerSteps;
+            return true;
+        } catch (error) {
+            console.error('Error restoring physics snapshot:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove and re-add every body in ID order so no cached pairs or contact manifolds survive
+     * @private
+     */
+    _readdBodies() {
+        const records = Array.from(this.bodies.values()).sort((a, b) => a.id - b.id);
+        records.forEach(record => {
+            this.world.removeRigidBody(record.body);
+            this.world.addRigidBody(record.body, record.group, record.mask);
+            if (this._recorder) {
+                this._recorder.push({ op: 'readdRigidBody', id: record.id, group: record.group, mask: record.mask });
+            }
+        });
+    }
+
+    /**
+     * Cast a ray and return the closest hit
+     * @param {THREE.Vector3} from - Ray start in world space
+     * @param {THREE.Vector3} to - Ray end in world space
+     * @param {Object} [options] - Query options
+     * @param {number|string} [options.group] - Collision group or layer the ray belongs to
+     * @param {number|string|string[]} [options.mask] - Collision groups or layers the ray can hit
+     * @param {Array<number|Ammo.btRigidBody>} [options.exclude] - Bodies to ignore
+     * @returns {Object|null} { id, body, owner, material, point, normal, fraction, distance }, or null on a miss
+     */
+    raycast(from, to, options = {}) {
+        if (!this.initialized) return null;
+        
+        this._queryFrom.setValue(from.x, from.y, from.z);
+        this._queryTo.setValue(to.x, to.y, to.z);
+        const callback = new this.localAmmo.ClosestRayResultCallback(this._queryFrom, this._queryTo);
+        this._applyQueryFilter(callback, options);
+        
+        let result = null;
+        try {
+            this._withExcluded(options.exclude, () => {
+                this.world.rayTest(this._queryFrom, this._queryTo, callback);
+            });
+            
+            if (callback.hasHit()) {
+                const fraction = callback.get_m_closestHitFraction();
+                result = this._queryResult(
+                    callback.get_m_collisionObject(),
+                    callback.get_m_hitPointWorld(),
+                    callback.get_m_hitNormalWorld(),
+                    fraction,
+                    from.distanceTo(to) * fraction
+                );
+            }
+        } catch (error) {
+            console.error('Error casting ray:', error);
+        } finally {
+            this.localAmmo.destroy(callback);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Cast a ray and return every hit along it, nearest first
+     * @param {THREE.Vector3} from - Ray start in world space
+     * @param {THREE.Vector3} to - Ray end in world space
+     * @param {Object} [options] - Query options, as for raycast()
+     * @returns {Object[]} Hits as returned by raycast()
+     */
+    raycastAll(from, to, options = {}) {
+        if (!this.initialized) return [];
+        
+        this._queryFrom.setValue(from.x, from.y, from.z);
+        this._queryTo.setValue(to.x, to.y, to.z);
+        const callback = new this.localAmmo.AllHitsRayResultCallback(this._queryFrom, this._queryTo);
+        this._applyQueryFilter(callback, options);
+        
+        const results = [];
+        try {
+            this._withExcluded(options.exclude, () => {
+                this.world.rayTest(this._queryFrom, this._queryTo, callback);
+            });
+            
+            const objects = callback.get_m_collisionObjects();
+            const points = callback.get_m_hitPointWorld();
+            const normals = callback.get_m_hitNormalWorld();
+            const fractions = callback.get_m_hitFractions();
+            const length = from.distanceTo(to);
+            const seen = [];
+            
+            for (let i = 0; i < objects.size(); i++) {
+                const fraction = fractions.at(i);
+                
+                // Concave shapes can report the same hit once per triangle
+                const pointer = this.localAmmo.getPointer(objects.at(i));
+                const duplicate = seen.some(hit => hit.pointer === pointer &&
+                    Math.abs(hit.fraction - fraction) < 1e-6);
+                if (duplicate) continue;
+                seen.push({ pointer, fraction });
+                
+                results.push(this._queryResult(
+                    objects.at(i),
+                    points.at(i),
+                    normals.at(i),
+                    fraction,
+                    length * fraction
+                ));
+            }
+        } catch (error) {
+            console.error('Error casting ray:', error);
+        } finally {
+            this.localAmmo.destroy(callback);
+        }
+        
+        return results.sort((a, b) => a.fraction - b.fraction);
+    }
+
+    /**
+     * Find bodies overlapping a sphere
+     * @param {THREE.Vector3} center - Sphere centre in world space
+     * @param {number} radius - Sphere radius
+     * @param {Object} [options] - Query options, as for raycast()
+     * @returns {Object[]} One entry per body: { id, body, owner, material, point, normal, distance },
+     *     where the normal points from the body towards the sphere and distance is negative when penetrating
+     */
+    overlapSphere(center, radius, options = {}) {
+        if (!this.initialized) return [];
+        
+        const shape = new this.localAmmo.btSphereShape(radius);
+        const results = this._overlapShape(shape, center, null, options);
+        this.localAmmo.destroy(shape);
+        return results;
+    }
+
+    /**
+     * Find bodies overlapping a box
+     * @param {THREE.Vector3} center - Box centre in world space
+     * @param {THREE.Vector3} halfExtents - Half the box size along each local axis
+     * @param {Object} [options] - Query options, as for raycast()
+     * @param {THREE.Quaternion} [options.quaternion] - Box orientation
+     * @returns {Object[]} Overlaps as returned by overlapSphere()
+     */
+    overlapBox(center, halfExtents, options = {}) {
+        if (!this.initialized) return [];
+        
+        this._queryFrom.setValue(halfExtents.x, halfExtents.y, halfExtents.z);
+        const shape = new this.localAmmo.btBoxShape(this._queryFrom);
+        const results = this._overlapShape(shape, center, options.quaternion || null, options);
+        this.localAmmo.destroy(shape);
+        return results;
+    }
+
+    /**
+     * Sweep a sphere along a path and return the first body it would touch
+     * @param {THREE.Vector3} from - Sphere centre at the start of the sweep
+     * @param {THREE.Vector3} to - Sphere centre at the end of the sweep
+     * @param {number} radius - Sphere radius
+     * @param {Object} [options] - Query options, as for raycast()
+     * @returns {Object|null} { id, body, owner, material, point, normal, fraction, distance }, or null if the path is clear
+     */
+    sweepSphere(from, to, radius, options = {}) {
+        if (!this.initialized) return null;
+        
+        const shape = new this.localAmmo.btSphereShape(radius);
+        const result = this._sweepShape(shape, from, to, null, options);
+        this.localAmmo.destroy(shape);
+        return result;
+    }
+
+    /**
+     * Sweep a box along a path and return the first body it would touch
+     * @param {THREE.Vector3} from - Box centre at the start of the sweep
+     * @param {THREE.Vector3} to - Box centre at the end of the sweep
+     * @param {THREE.Vector3} halfExtents - Half the box size along each local axis
+     * @param {Object} [options] - Query options, as for raycast()
+     * @param {THREE.Quaternion} [options.quaternion] - Box orientation, held for the whole sweep
+     * @returns {Object|null} Hit as returned by sweepSphere()
+     */
+    sweepBox(from, to, halfExtents, options = {}) {
+        if (!this.initialized) return null;
+        
+        this._queryFrom.setValue(halfExtents.x, halfExtents.y, halfExtents.z);
+        const shape = new this.localAmmo.btBoxShape(this._queryFrom);
+        const result = this._sweepShape(shape, from, to, options.quaternion || null, options);
+        this.localAmmo.destroy(shape);
+        return result;
+    }
+
+    /**
+     * Run a contact test for a shape placed in the world
+     * @param {Ammo.btCollisionShape} shape - Query shape
+     * @param {THREE.Vector3} position - Shape position
+     * @param {THREE.Quaternion|null} quaternion - Shape orientation
+     * @param {Object} options - Query options
+     * @returns {Object[]} Deepest contact per overlapping body
+     * @private
+     */
+    _overlapShape(shape, position, quaternion, options) {
+        const mask = options.mask === undefined ? -1 : resolveLayerMask(options.mask);
+        const group = options.group === undefined ? -1 : resolveLayerMask(options.group);
+        const queryObject = this._queryObject;
+        const queryPointer = this.localAmmo.getPointer(queryObject);
+        const deepest = new Map();
+        
+        this._setQueryTransform(position, quaternion);
+        queryObject.setCollisionShape(shape);
+        queryObject.setWorldTransform(this._queryTransform);
+        
+        const callback = new this.localAmmo.ConcreteContactResultCallback();
+        callback.addSingleResult = (cpPointer, wrap0Pointer, partId0, index0, wrap1Pointer) => {
+            const point = this.localAmmo.wrapPointer(cpPointer, this.localAmmo.btManifoldPoint);
+            const wrap0 = this.localAmmo.wrapPointer(wrap0Pointer, this.localAmmo.btCollisionObjectWrapper);
+            const wrap1 = this.localAmmo.wrapPointer(wrap1Pointer, this.localAmmo.btCollisionObjectWrapper);
+            
+            const distance = point.getDistance();
+            if (distance > CONTACT_DISTANCE_THRESHOLD) return 0;
+            
+            // The query object is usually body A, but Bullet may swap the pair
+            const queryIsA = this.localAmmo.getPointer(wrap0.getCollisionObject()) === queryPointer;
+            const other = queryIsA ? wrap1.getCollisionObject() : wrap0.getCollisionObject();
+            
+            // Contact tests cannot carry a filter, so apply the group and mask here
+            const proxy = other.getBroadphaseHandle();
+            if (proxy && ((proxy.get_m_collisionFilterGroup() & mask) === 0 ||
+                (proxy.get_m_collisionFilterMask() & group) === 0)) {
+                return 0;
+            }
+            
+            const otherPointer = this.localAmmo.getPointer(other);
+            const previous = deepest.get(otherPointer);
+            if (previous && previous.distance <= distance) return 0;
+            
+            // Bullet's normal points from body B towards body A
+            const sign = queryIsA ? 1 : -1;
+            const normal = point.get_m_normalWorldOnB();
+            const position = queryIsA ? point.getPositionWorldOnB() : point.getPositionWorldOnA();
+            deepest.set(otherPointer, this._queryResult(
+                other,
+                position,
+                new THREE.Vector3(normal.x() * sign, normal.y() * sign, normal.z() * sign),
+                undefined,
+                distance
+            ));
+            return 0;
+        };
+        
+        try {
+            this._withExcluded(options.exclude, () => {
+                this.world.contactTest(queryObject, callback);
+            });
+        } catch (error) {
+            console.error('Error running overlap query:', error);
+        } finally {
+            this.localAmmo.destroy(callback);
+        }
+        
+        return Array.from(deepest.values());
+    }
+
+    /**
+     * Sweep a convex shape between two positions
+     * @param {Ammo.btConvexShape} shape - Shape to sweep
+     * @param {THREE.Vector3} from - Start position
+     * @param {THREE.Vector3} to - End position
+     * @param {THREE.Quaternion|null} quaternion - Orientation held for the whole sweep
+     * @param {Object} options - Query options
+     * @returns {Object|null} Closest hit
+     * @private
+     */
+    _sweepShape(shape, from, to, quaternion, options) {
+        const fromTransform = new this.localAmmo.btTransform();
+        const toTransform = new this.localAmmo.btTransform();
+        this._setQueryTransform(from, quaternion);
+        fromTransform.setOrigin(this._queryTransform.getOrigin());
+        fromTransform.setRotation(this._queryTransform.getRotation());
+        this._setQueryTransform(to, quaternion);
+        toTransform.setOrigin(this._queryTransform.getOrigin());
+        toTransform.setRotation(this._queryTransform.getRotation());
+        
+        this._queryFrom.setValue(from.x, from.y, from.z);
+        this._queryTo.setValue(to.x, to.y, to.z);
+        const callback = new this.localAmmo.ClosestConvexResultCallback(this._queryFrom, this._queryTo);
+        this._applyQueryFilter(callback, options);
+        
+        let result = null;
+        try {
+            this._withExcluded(options.exclude, () => {
+                this.world.convexSweepTest(shape, fromTransform, toTransform, callback, 0);
+            });
+            
+            if (callback.hasHit()) {
+                const fraction = callback.get_m_closestHitFraction();
+                const hitPoint = callback.get_m_hitPointWorld();
+                const hitNormal = callback.get_m_hitNormalWorld();
+                const point = new THREE.Vector3(hitPoint.x(), hitPoint.y(), hitPoint.z());
+                const normal = new THREE.Vector3(hitNormal.x(), hitNormal.y(), hitNormal.z());
+                
+                // Ammo.js does not expose the hit object of a convex sweep, so
+                // find it by testing the shape where the sweep stopped
+                const stop = new THREE.Vector3().lerpVectors(from, to, fraction);
+                const touching = this._overlapShape(shape, stop, quaternion, options);
+                let hit = null;
+                touching.forEach(candidate => {
+                    if (!hit || candidate.point.distanceToSquared(point) < hit.point.distanceToSquared(point)) {
+                        hit = candidate;
+                    }
+                });
+                
+                result = {
+                    id: hit ? hit.id : null,
+                    body: hit ? hit.body : null,
+                    owner: hit ? hit.owner : null,
+                    material: hit ? hit.material : null,
+                    point,
+                    normal,
+                    fraction,
+                    distance: from.distanceTo(to) * fraction
+                };
+            }
+        } catch (error) {
+            console.error('Error running sweep test:', error);
+        } finally {
+            this.localAmmo.destroy(callback);
+            this.localAmmo.destroy(fromTransform);
+            this.localAmmo.destroy(toTransform);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Copy a query's group and mask onto an Ammo.js result callback
+     * @param {Object} callback - Ray or convex result callback
+     * @param {Object} options - Query options
+     * @private
+     */
+    _applyQueryFilter(callback, options) {
+        if (options.group !== undefined) {
+            callback.set_m_collisionFilterGroup(resolveLayerMask(options.group));
+        }
+        if (options.mask !== undefined) {
+            callback.set_m_collisionFilterMask(resolveLayerMask(options.mask));
+        }
+    }
+
+    /**
+     * Run a query with some bodies temporarily removed from every collision group
+     * @param {Array<number|Ammo.btRigidBody>|undefined} exclude - Bodies to hide from the query
+     * @param {Function} query - Query to run
+     * @private
+     */
+    _withExcluded(exclude, query) {
+        const hidden = [];
+        (exclude || []).forEach(handle => {
+            const record = this._resolveRecord(handle);
+            const proxy = record && record.body.getBroadphaseHandle();
+            if (!proxy) return;
+            
+            hidden.push({ proxy, group: proxy.get_m_collisionFilterGroup() });
+            proxy.set_m_collisionFilterGroup(0);
+        });
+        
+        try {
+            query();
+        } finally {
+            hidden.forEach(({ proxy, group }) => proxy.set_m_collisionFilterGroup(group));
+        }
+    }
+
+    /**
+     * Set the shared query transform
+     * @param {THREE.Vector3} position - Origin
+     * @param {THREE.Quaternion|null} quaternion - Rotation, identity if null
+     * @private
+     */
+    _setQueryTransform(position, quaternion) {
+        const transform = this._queryTransform;
+        transform.setIdentity();
+        this._queryFrom.setValue(position.x, position.y, position.z);
+        transform.setOrigin(this._queryFrom);
+        
+        if (quaternion) {
+            this._queryRotation.setValue(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+            transform.setRotation(this._queryRotation);
+        }
+    }
+
+    /**
+     * Convert an Ammo.js hit into a plain result with Three.js vectors
+     * @param {Ammo.btCollisionObject} collisionObject - Object that was hit
+     * @param {Ammo.btVector3} point - Hit point
+     * @param {Ammo.btVector3|THREE.Vector3} normal - Hit normal
+     * @param {number|undefined} fraction - Fraction along the query path
+     * @param {number} distance - Distance along the path, or penetration for overlaps
+     * @returns {Object} Query result
+     * @private
+     */
+    _queryResult(collisionObject, point, normal, fraction, distance) {
+        const id = this._idsByPointer.get(this.localAmmo.getPointer(collisionObject));
+        const record = id === undefined ? null : this.bodies.get(id);
+        
+        const result = {
+            id: record ? record.id : null,
+            body: record ? record.body : null,
+            owner: record ? record.owner : null,
+            material: record ? record.material : null,
+            point: new THREE.Vector3(point.x(), point.y(), point.z()),
+            normal: normal instanceof THREE.Vector3
+                ? normal
+                : new THREE.Vector3(normal.x(), normal.y(), normal.z()),
+            distance
+        };
+        if (fraction !== undefined) {
+            result.fraction = fraction;
+        }
+        return result;
+    }
+
+    /**
+     * Add a constraint between rigid bodies to the physics world
+     * @param {Ammo.btTypedConstraint} constraint - Constraint to add
+     * @param {boolean} [disableCollisions=true] - Stop the linked bodies colliding with each other
+     */
+    addConstraint(constraint, disableCollisions = true) {
+        if (!this.initialized) {
+            console.error('Physics world not initialized');
+            return;
+        }
+        
+        try {
+            this.world.addConstraint(constraint, disableCollisions);
+            if (this._recorder) {
+                this._recorder.push({
+                    op: 'addConstraint',
+                    constraint: this._recorder.ref(constraint),
+                    disableCollisions
+                });
+            }
+        } catch (error) {
+            console.error('Error adding constraint:', error);
+        }
+    }
+
+    /**
+     * Remove a constraint from the physics world
+     * @param {Ammo.btTypedConstraint} constraint - Constraint to remove
+     */
+    removeConstraint(constraint) {
+        if (!this.initialized) return;
+        
+        try {
+            this.world.removeConstraint(constraint);
+            if (this._recorder) {
+                this._recorder.push({ op: 'removeConstraint', constraint: this._recorder.ref(constraint) });
+            }
+        } catch (error) {
+            console.error('Error removing constraint:', error);
+        }
+    }
+
     /**
      * Clean up resources
      */
@@ -257,18 +1552,39 @@ export class PhysicsWorld {
         try {
             console.log('Disposing physics world...');
             // Remove all rigid bodies
-            for (let i = this.rigidBodies.length - 1; i >= 0; i--) {
-                this.removeRigidBody(this.rigidBodies[i]);
+            Array.from(this.bodies.keys()).forEach(id => this.removeRigidBody(id));
+            
+            // The worker's copies go with it
+            if (this.worker) {
+                this._recorder.takeCommands();
+                this.worker.terminate();
+                this.worker = null;
             }
             
-            // Clean up world
+            // Clean up world, then what it was built from
             if (this.world) {
-                this.Ammo.destroy(this.world);
+                this.localAmmo.destroy(this.world);
                 this.world = null;
             }
+            this._worldParts.forEach(object => this.localAmmo.destroy(object));
+            this._worldParts = [];
             
+            this.scratch.dispose();
+            
+            this.contactListeners.clear();
+            this._activeContacts.clear();
+            this.localAmmo.destroy(this._tmpTransform);
+            this._tmpTransform = null;
+            [this._queryFrom, this._queryTo, this._queryRotation, this._queryTransform, this._queryObject]
+                .forEach(object => this.localAmmo.destroy(object));
+            this._queryObject = null;
             this.initialized = false;
             console.log('Physics world disposed successfully');
+            
+            // Every body is gone, so whatever is still alive has leaked
+            if (this._tracker) {
+                this._tracker.report('Ammo.js objects leaked after dispose');
+            }
         } catch (error) {
             console.error('Error disposing physics world:', error);
         }
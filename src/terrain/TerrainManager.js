@@ -1,29 +1,50 @@
 import * as THREE from 'three';
 
+// Width of the ring over which a flat area blends back into the hills (m)
+const FLAT_AREA_BLEND = 3;
+
 /**
  * TerrainManager - Handles terrain generation and management
  */
 export class TerrainManager {
-    constructor(scene, physicsWorld) {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the terrain mesh to
+     * @param {PhysicsWorld} physicsWorld - Physics world to add the terrain collision to
+     * @param {Object} [options] - Terrain options
+     * @param {number} [options.heightScale=5] - Multiplier on the height of the hills
+     * @param {Array<{x: number, z: number, radius: number}>} [options.flatAreas=[]] - Round areas levelled to the height at their centre
+     * @param {boolean} [options.lights=true] - Add ambient and sun lights to the scene
+     */
+    constructor(scene, physicsWorld, options = {}) {
         this.scene = scene;
         this.physicsWorld = physicsWorld;
         
         // Terrain properties
         this.size = 100;
         this.segments = 100;
-        this.heightScale = 5;
+        this.heightScale = options.heightScale !== undefined ? options.heightScale : 5;
+        this.flatAreas = (options.flatAreas || []).map(area => ({
+            ...area,
+            height: this.generateHillHeight(area.x, area.z)
+        }));
+        this.lights = [];
         
         // Create terrain
         this.createTerrain();
         
         // Add lighting
-        this.setupLighting();
+        if (options.lights !== false) {
+            this.setupLighting();
+        }
     }
 
     /**
      * Create the terrain mesh
      */
     createTerrain() {
+        // Sample heights once; the mesh and the physics shape share this grid
+        this.heightData = this.generateHeightData();
+        
         // Create geometry
         const geometry = new THREE.PlaneGeometry(
             this.size,
@@ -32,15 +53,10 @@ export class TerrainManager {
             this.segments
         );
 
-        // Generate height data
+        // The mesh is rotated -90° about X, so height goes in local z
         const vertices = geometry.attributes.position.array;
         for (let i = 0; i < vertices.length; i += 3) {
-            const x = vertices[i];
-            const z = vertices[i + 2];
-            
-            // Simple height function using multiple sine waves
-            const height = this.generateHeight(x, z);
-            vertices[i + 1] = height;
+            vertices[i + 2] = this.heightData[i / 3];
         }
 
         // Update normals
@@ -65,39 +81,83 @@ export class TerrainManager {
     }
 
     /**
-     * Create the physics terrain
+     * Sample the height function on the terrain grid
+     * @returns {Float32Array} Heights stored row-major, index = row * (segments + 1) + column,
+     *     with columns running along +X and rows along +Z from the -X/-Z corner
+     */
+    generateHeightData() {
+        const gridSize = this.segments + 1;
+        const cellSize = this.size / this.segments;
+        const halfSize = this.size / 2;
+        const heightData = new Float32Array(gridSize * gridSize);
+        
+        for (let row = 0; row < gridSize; row++) {
+            const z = -halfSize + row * cellSize;
+            for (let column = 0; column < gridSize; column++) {
+                const x = -halfSize + column * cellSize;
+                heightData[row * gridSize + column] = this.generateHeight(x, z);
+            }
+        }
+        
+        return heightData;
+    }
+
+    /**
+     * Create the physics terrain from the same height grid as the mesh
      */
     createPhysicsTerrain() {
         if (!this.physicsWorld.Ammo) return;
 
         const Ammo = this.physicsWorld.Ammo;
+        const scratch = this.physicsWorld.scratch;
+        const gridSize = this.segments + 1;
+        const cellSize = this.size / this.segments;
+        
+        // Copy heights into the Ammo.js heap; the shape reads them from there
+        this.heightDataPtr = Ammo._malloc(4 * this.heightData.length);
+        Ammo.HEAPF32.set(this.heightData, this.heightDataPtr / 4);
         
-        // Create a static plane for the ground
-        const shape = new Ammo.btStaticPlaneShape(
-            new Ammo.btVector3(0, 1, 0),
-            0
+        let minHeight = Infinity;
+        let maxHeight = -Infinity;
+        for (let i = 0; i < this.heightData.length; i++) {
+            minHeight = Math.min(minHeight, this.heightData[i]);
+            maxHeight = Math.max(maxHeight, this.heightData[i]);
+        }
+        
+        const upAxis = 1; // Y
+        const shape = new Ammo.btHeightfieldTerrainShape(
+            gridSize,
+            gridSize,
+            this.heightDataPtr,
+            1, // Height scale, unused for float data
+            minHeight,
+            maxHeight,
+            upAxis,
+            'PHY_FLOAT',
+            false // Keep Bullet's default diagonal, which matches PlaneGeometry
         );
+        shape.setLocalScaling(scratch.vector3(cellSize, 1, cellSize));
+        shape.setMargin(0.05);
         
-        const transform = new Ammo.btTransform();
-        transform.setIdentity();
-        transform.setOrigin(new Ammo.btVector3(0, 0, 0));
+        // Bullet centres a heightfield on the middle of its height range
+        const transform = scratch.transform();
+        transform.setOrigin(scratch.vector3(0, (minHeight + maxHeight) / 2, 0));
         
         const motionState = new Ammo.btDefaultMotionState(transform);
         
         // Create rigid body (mass = 0 for static objects)
         const mass = 0;
-        const localInertia = new Ammo.btVector3(0, 0, 0);
-        shape.calculateLocalInertia(mass, localInertia);
+        const localInertia = scratch.vector3(0, 0, 0);
         
         const rbInfo = new Ammo.btRigidBodyConstructionInfo(mass, motionState, shape, localInertia);
         this.terrainBody = new Ammo.btRigidBody(rbInfo);
         
-        // Set friction and restitution
-        this.terrainBody.setFriction(0.8);
-        this.terrainBody.setRestitution(0.1);
-        
         // Add to physics world
-        this.physicsWorld.addRigidBody(this.terrainBody);
+        this.terrainBodyId = this.physicsWorld.addRigidBody(this.terrainBody, {
+            owner: this,
+            layer: 'terrain',
+            material: 'grass'
+        });
         
         // Clean up
         Ammo.destroy(rbInfo);
@@ -110,6 +170,25 @@ export class TerrainManager {
      * @returns {number} Height value
      */
     generateHeight(x, z) {
+        let height = this.generateHillHeight(x, z);
+        
+        // Level the flat areas, easing back into the hills around their edges
+        this.flatAreas.forEach(area => {
+            const distance = Math.hypot(x - area.x, z - area.z);
+            const blend = THREE.MathUtils.smoothstep(distance, area.radius, area.radius + FLAT_AREA_BLEND);
+            height = THREE.MathUtils.lerp(area.height, height, blend);
+        });
+        
+        return height;
+    }
+
+    /**
+     * Height of the rolling hills before any area is levelled
+     * @param {number} x - X coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number} Height value
+     */
+    generateHillHeight(x, z) {
         // Combine multiple sine waves for more interesting terrain
         const height = 
             Math.sin(x * 0.1) * 2 +
@@ -126,6 +205,7 @@ export class TerrainManager {
         // Ambient light
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
         this.scene.add(ambientLight);
+        this.lights.push(ambientLight);
 
         // Directional light (sunlight)
         const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
@@ -134,16 +214,42 @@ export class TerrainManager {
         directionalLight.shadow.mapSize.width = 2048;
         directionalLight.shadow.mapSize.height = 2048;
         this.scene.add(directionalLight);
+        this.lights.push(directionalLight);
     }
 
     /**
      * Get height at a given x,z coordinate
+     * Interpolates across the same triangles the mesh and heightfield use.
      * @param {number} x - X coordinate
      * @param {number} z - Z coordinate
      * @returns {number} Height value
      */
     getHeightAt(x, z) {
-        return this.generateHeight(x, z);
+        const cellSize = this.size / this.segments;
+        const gridX = (x + this.size / 2) / cellSize;
+        const gridZ = (z + this.size / 2) / cellSize;
+        
+        // Outside the grid there is no surface to match, use the height function
+        if (!this.heightData || gridX < 0 || gridZ < 0 || gridX > this.segments || gridZ > this.segments) {
+            return this.generateHeight(x, z);
+        }
+        
+        const column = Math.min(Math.floor(gridX), this.segments - 1);
+        const row = Math.min(Math.floor(gridZ), this.segments - 1);
+        const fx = gridX - column;
+        const fz = gridZ - row;
+        
+        const gridSize = this.segments + 1;
+        const h00 = this.heightData[row * gridSize + column];
+        const h10 = this.heightData[row * gridSize + column + 1];
+        const h01 = this.heightData[(row + 1) * gridSize + column];
+        const h11 = this.heightData[(row + 1) * gridSize + column + 1];
+        
+        // Each cell is split along the diagonal from (column, row + 1) to (column + 1, row)
+        if (fx + fz <= 1) {
+            return h00 + fx * (h10 - h00) + fz * (h01 - h00);
+        }
+        return h11 + (1 - fx) * (h01 - h11) + (1 - fz) * (h10 - h11);
     }
 
     /**
@@ -151,9 +257,19 @@ export class TerrainManager {
      */
     dispose() {
         if (this.terrainBody) {
-            this.physicsWorld.removeRigidBody(this.terrainBody);
-            this.physicsWorld.Ammo.destroy(this.terrainBody);
+            this.physicsWorld.removeRigidBody(this.terrainBodyId);
+            this.terrainBody = null;
+            this.terrainBodyId = null;
+        }
+        // The heightfield shape is gone with the body, so its heights can be freed
+        if (this.heightDataPtr) {
+            this.physicsWorld.Ammo._free(this.heightDataPtr);
+            this.heightDataPtr = null;
         }
         this.scene.remove(this.terrain);
+        this.terrain.geometry.dispose();
+        this.terrain.material.dispose();
+        this.lights.forEach(light => this.scene.remove(light));
+        this.lights = [];
     }
 } 
\ No newline at end of file
@@ -0,0 +1,93 @@
+import * as THREE from 'three';
+
+// Distance kept between the indicator and the edge of the screen (px)
+const EDGE_MARGIN = 40;
+
+/**
+ * BallIndicator - Arrow at the edge of the screen pointing at an off-screen ball
+ */
+export class BallIndicator {
+    /**
+     * @param {THREE.Camera} camera - Camera the scene is drawn from
+     * @param {HTMLElement} container - Element to add the indicator to
+     */
+    constructor(camera, container) {
+        this.camera = camera;
+        this.container = container;
+        this._projected = new THREE.Vector3();
+
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.display = 'none';
+        this.element.style.pointerEvents = 'none';
+        this.element.style.transform = 'translate(-50%, -50%)';
+        this.element.style.color = '#fff';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+        this.element.style.fontSize = '14px';
+        this.element.style.textAlign = 'center';
+        this.element.style.textShadow = '2px 2px 4px rgba(0,0,0,0.5)';
+        this.element.style.zIndex = '100';
+
+        this.arrow = document.createElement('div');
+        this.arrow.textContent = '➤';
+        this.arrow.style.fontSize = '32px';
+        this.arrow.style.color = '#C2A66B';
+        this.element.appendChild(this.arrow);
+
+        this.label = document.createElement('div');
+        this.element.appendChild(this.label);
+
+        container.appendChild(this.element);
+    }
+
+    /**
+     * Move the indicator to point at the ball, or hide it while the ball is on screen
+     * @param {THREE.Vector3|null} ballPosition - Ball centre, or null to hide the indicator
+     * @param {number} distance - Distance from the beetle to the ball (m)
+     */
+    update(ballPosition, distance) {
+        if (!ballPosition) {
+            this.element.style.display = 'none';
+            return;
+        }
+
+        // Normalized device coordinates; points behind the camera come out mirrored
+        const ndc = this._projected.copy(ballPosition).project(this.camera);
+        const behind = ndc.z > 1;
+        if (!behind && Math.abs(ndc.x) <= 1 && Math.abs(ndc.y) <= 1) {
+            this.element.style.display = 'none';
+            return;
+        }
+        if (behind) {
+            ndc.x = -ndc.x;
+            ndc.y = -ndc.y;
+        }
+
+        // Push the direction out to the screen edge, less the margin
+        const halfWidth = window.innerWidth / 2;
+        const halfHeight = window.innerHeight / 2;
+        let x = ndc.x * halfWidth;
+        let y = -ndc.y * halfHeight;
+        const scale = Math.min(
+            (halfWidth - EDGE_MARGIN) / Math.max(Math.abs(x), 1e-6),
+            (halfHeight - EDGE_MARGIN) / Math.max(Math.abs(y), 1e-6)
+        );
+        x *= scale;
+        y *= scale;
+
+        this.element.style.display = 'block';
+        this.element.style.left = `${halfWidth + x}px`;
+        this.element.style.top = `${halfHeight + y}px`;
+        this.arrow.style.transform = `rotate(${Math.atan2(y, x)}rad)`;
+        this.label.textContent = `${distance.toFixed(0)} m`;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}